@@ -1,4 +1,6 @@
 const Command = require('./lib/command');
 Command.helper = require('./lib/helper');
+Command.ConfigCommand = require('./lib/command/config');
+Command.ToolkitCommand = require('./lib/command/toolkit');
 
 module.exports = Command;
@@ -0,0 +1,110 @@
+const colors = require('colors/safe');
+
+/**
+ * create a normalized, JSON serializable report from webpack stats, support MultiStats
+ * @param {Stats} stats - webpack Stats or MultiStats
+ * @param {Error} [err] - fatal error passed to webpack callback
+ * @return {Object} { name, hash, success, duration, errors, warnings, assets, entrypoints, children }
+ */
+module.exports = function createBuildReport(stats, err) {
+  if (!stats) {
+    return {
+      name: undefined,
+      hash: undefined,
+      success: false,
+      duration: 0,
+      errors: err ? [{ message: colors.strip(err.message) }] : [],
+      warnings: [],
+      assets: [],
+      entrypoints: [],
+      children: [],
+    };
+  }
+
+  // MultiCompiler
+  if (Array.isArray(stats.stats)) {
+    const children = stats.stats.map(child => createBuildReport(child));
+    const startTime = Math.min(...stats.stats.map(child => child.startTime));
+    const endTime = Math.max(...stats.stats.map(child => child.endTime));
+    const flatten = key => children.reduce((list, child) => list.concat(child[key].map(item =>
+      Object.assign({ compiler: child.name }, item))), []);
+    const errors = flatten('errors');
+    if (err) errors.unshift({ message: colors.strip(err.message) });
+    return {
+      name: undefined,
+      hash: stats.hash,
+      success: !errors.length,
+      duration: endTime - startTime,
+      errors,
+      warnings: flatten('warnings'),
+      assets: flatten('assets'),
+      entrypoints: flatten('entrypoints'),
+      children,
+    };
+  }
+
+  const compilation = stats.compilation;
+  const json = stats.toJson({
+    all: false,
+    hash: true,
+    assets: true,
+    cachedAssets: true,
+    entrypoints: true,
+  });
+
+  const sizes = {};
+  const assets = (json.assets || []).map((asset) => {
+    sizes[asset.name] = asset.size;
+    return {
+      name: asset.name,
+      size: asset.size,
+      chunks: asset.chunks,
+      emitted: !!asset.emitted,
+    };
+  });
+
+  const entrypoints = Object.keys(json.entrypoints || {}).map((name) => {
+    // webpack 5 gives `{ name, size }`, lower versions give names only
+    const files = json.entrypoints[name].assets.map(asset => (typeof asset === 'string' ? asset : asset.name));
+    return {
+      name,
+      assets: files,
+      size: files.reduce((total, file) => total + (sizes[file] || 0), 0),
+    };
+  });
+
+  const errors = compilation.errors.map(normalizeProblem);
+  if (err) errors.unshift({ message: colors.strip(err.message) });
+
+  return {
+    name: compilation.name,
+    hash: json.hash,
+    success: !errors.length,
+    duration: stats.endTime - stats.startTime,
+    errors,
+    warnings: compilation.warnings.map(normalizeProblem),
+    assets,
+    entrypoints,
+    children: [],
+  };
+};
+
+function normalizeProblem(problem) {
+  if (typeof problem === 'string') return { message: colors.strip(problem) };
+
+  const mod = problem.module;
+  const dep = problem.dependencies && problem.dependencies[0];
+  return {
+    message: colors.strip(problem.message || String(problem)),
+    module: mod ? mod.resource || (mod.identifier && mod.identifier()) : problem.file,
+    loc: formatLoc(problem.loc || (dep && dep.loc)),
+  };
+}
+
+function formatLoc(loc) {
+  if (!loc) return undefined;
+  if (typeof loc === 'string') return loc;
+  const start = loc.start || loc;
+  if (start.line === undefined) return undefined;
+  return start.column === undefined ? `${start.line}` : `${start.line}:${start.column}`;
+}
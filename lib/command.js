@@ -10,6 +10,15 @@ const semver = require('semver');
 const changeCase = require('change-case');
 const delegate = require('delegates');
 const helper = require('./helper');
+const Logger = require('./logger');
+const configLoader = require('./config-loader');
+const pluginLoader = require('./plugin-loader');
+const { suggest } = require('./suggest');
+const docGenerator = require('./doc-generator');
+const completion = require('./completion');
+const updateNotifier = require('./update-notifier');
+const dotenv = require('./dotenv');
+const prompt = require('./prompt');
 
 require('colors');
 
@@ -20,6 +29,64 @@ const VERSION = Symbol('Command#version');
 const LOGGER = Symbol('Command#logger');
 const CONTEXT = Symbol('Command#context');
 const HELPER = Symbol('Command#helper');
+const MIDDLEWARES = Symbol('Command#middlewares');
+const HOOKS = Symbol('Command#hooks');
+const ADD_HOOK = Symbol('Command#addHook');
+const INHERIT = Symbol('Command#inherit');
+const RUN = Symbol('Command#run');
+const COMPOSE = Symbol('Command#compose');
+const EXEC_OPTIONS = Symbol('Command#execOptions');
+const CONSOLE = Symbol('Command#console');
+const LOG_OPTIONS = Symbol('Command#logOptions');
+const VALIDATE_CONFIG = Symbol('Command#validateConfig');
+const PLUGIN_OPTIONS = Symbol('Command#pluginOptions');
+const LOAD_PLUGINS = Symbol('Command#loadPlugins');
+const COMMAND_OWNERS = Symbol('Command#commandOwners');
+const CHECK_STRICT = Symbol('Command#checkStrict');
+const ALIASES = Symbol('Command#aliases');
+const HELP = Symbol('Command#help');
+const PARENT = Symbol('Command#parent');
+const COMPLETE = Symbol('Command#complete');
+const COMMAND_PATH = Symbol('Command#commandPath');
+const COMPLETING = Symbol('Command#completing');
+const COMMANDS_REGISTERED = Symbol('Command#commandsRegistered');
+const GLOBAL_OPTIONS_REGISTERED = Symbol('Command#globalOptionsRegistered');
+const DECLARED_KEYS = Symbol('Command#declaredKeys');
+const UPDATE_OPTIONS = Symbol('Command#updateOptions');
+const PROVIDED = Symbol('Command#provided');
+const RESOLVE_OPTIONS = Symbol('Command#resolveOptions');
+
+// env of reco-bin itself, never used as the default env of options
+const RESERVED_ENV = [
+  'RECO_ENV', 'RECO_LOG_LEVEL', 'RECO_LOG_FILE', 'RECO_LOG_FORMAT', 'RECO_KILL_TIMEOUT', 'RECO_NO_UPDATE_NOTIFIER',
+];
+
+// default of `logOptions`
+const DEFAULT_LOG_OPTIONS = {
+  level: 'info',
+  json: false,
+  file: undefined,
+};
+
+// options defined for every command, besides `--help` and `--version`
+const GLOBAL_OPTIONS = {
+  verbose: {
+    type: 'boolean',
+    description: 'Print debug log',
+  },
+  silent: {
+    type: 'boolean',
+    description: 'Only print error log',
+  },
+  yes: {
+    type: 'boolean',
+    description: 'Accept defaults of all prompts',
+  },
+  'env-file': {
+    type: 'string',
+    description: 'Load env from file, besides .env / .env.local / .env.<NODE_ENV> / .env.<NODE_ENV>.local',
+  },
+};
 
 class CommonBin {
   constructor(rawArgv) {
@@ -41,45 +108,82 @@ class CommonBin {
      * parserOptions
      * @type {Object}
      * @property {Boolean} execArgv - whether extract `execArgv` to `context.execArgv`
+     * @property {Array} execArgvFlags - extra runtime flags to extract, such as `require`, see `helper.EXEC_ARGV_FLAGS`
      * @property {Boolean} removeAlias - whether remove alias key from `argv`
      * @property {Boolean} removeCamelCase - whether remove camel case key from `argv`
+     * @property {Boolean} strict - whether fail on unknown commands and options, inherited by sub commands
      */
     this.parserOptions = {
       execArgv: true,
+      execArgvFlags: [],
       removeAlias: true,
       removeCamelCase: false,
+      strict: false,
     };
 
+    /**
+     * logOptions, could be overridden by `--verbose` / `--silent` and `RECO_LOG_*` env,
+     * sub commands inherit the resolved ones of parent, only the fields changed from default are applied
+     * @type {Object}
+     * @property {String} level - log level, `debug` / `info` / `warn` / `error` / `silent`, env `RECO_LOG_LEVEL`
+     * @property {Boolean} json - whether print log as NDJSON, env `RECO_LOG_FORMAT=json`
+     * @property {String} file - log file name, relative to `run/` of cwd, env `RECO_LOG_FILE`
+     */
+    this.logOptions = Object.assign({}, DEFAULT_LOG_OPTIONS);
+
     // <commandName, Command>
     this[COMMANDS] = new Map();
+
+    // <commandName, pluginName>, commands added by plugins
+    this[COMMAND_OWNERS] = new Map();
+
+    // <alias, commandName>
+    this[ALIASES] = new Map();
+
+    // names from root to this command, such as `[ 'toolkit', 'install' ]`, empty for root
+    this[COMMAND_PATH] = [];
+
+    // declared help info, for help output and docs
+    this[HELP] = {
+      usage: undefined,
+      epilog: undefined,
+      examples: [],
+      // <key, option definition>
+      options: new Map(),
+    };
+
+    // middlewares around `run`, each one is called as `fn(context, next)`
+    this[MIDDLEWARES] = [];
+
+    // <hookName, [fn]>
+    this[HOOKS] = {
+      beforeRun: [],
+      afterRun: [],
+      onError: [],
+    };
+
+    // options passed to `exec`, such as cwd / env / stdout / stderr
+    this[EXEC_OPTIONS] = {};
   }
 
+  /**
+   * console used to print output, write to `stdout` / `stderr` of `exec` options if provided
+   * @type {Console}
+   * @private
+   */
+  get [CONSOLE]() {
+    const { stdout, stderr } = this[EXEC_OPTIONS];
+    if (!stdout && !stderr) return console;
+    return new console.Console(stdout || process.stdout, stderr || process.stderr);
+  }
+
+  /**
+   * logger, nested sub commands get a child of their parent's logger
+   * @type {Logger}
+   */
   get logger() {
     if (!this[LOGGER]) {
-      this[LOGGER] = {};
-      ['debug', 'info', 'log', 'warn', 'error'].forEach((level) => {
-        this[LOGGER][level] = (...args) => {
-          const name = this.constructor.name;
-          const upperLevel = level.toUpperCase();
-          switch (level) {
-            case 'debug':
-              args[0] = ` ${upperLevel} [${name}] ${args[0]}`;
-              break;
-            case 'info':
-            case 'log':
-              args[0] = ` ${upperLevel.green} [${name}] ${args[0]}`;
-              break;
-            case 'warn':
-              args[0] = ` ${upperLevel.yellow} [${name}] ${args[0]}`;
-              break;
-            case 'error':
-            default:
-              args[0] = ` ${upperLevel.red} [${name}] ${args[0]}`;
-              break;
-          }
-          console.log(...args);
-        };
-      });
+      this[LOGGER] = new Logger({ name: this.constructor.name, level: this.logOptions.level });
     }
     return this[LOGGER];
   }
@@ -90,6 +194,7 @@ class CommonBin {
    * @param {String} context.cwd - process.cwd()
    * @param {Object} context.argv - argv parse result by yargs, `{ _: [ 'start' ], '$0': '/usr/local/bin/reco', baseDir: 'simple'}`
    * @param {Array} context.rawArgv - the raw argv, `[ "--baseDir=simple" ]`
+   * @param {Number} [context.exitCode] - could be set by handler, default to 0
    * @protected
    */
   run() {
@@ -156,25 +261,237 @@ class CommonBin {
     assert(this[COMMANDS].has(name), `${name} should be added first`);
     debug('[%s] set `%s` as alias of `%s`', this.constructor.name, alias, name);
     this[COMMANDS].set(alias, this[COMMANDS].get(name));
+    this[ALIASES].set(alias, this[ALIASES].get(name) || name);
+  }
+
+  /**
+   * register a middleware which wraps `run`, also applied to all sub commands
+   * @param {Function} fn - `fn(context, next)`, could be generator / async function / normal function
+   * @return {CommonBin} this
+   * @example `use(function* (context, next) { const start = Date.now(); yield next(); this.info(Date.now() - start); })`
+   */
+  use(fn) {
+    assert(typeof fn === 'function', 'middleware should be a function');
+    this[MIDDLEWARES].push(fn);
+    return this;
+  }
+
+  /**
+   * register a hook called before `run`, `fn(context)` could modify context or return a new one
+   * @param {Function} fn - could be generator / async function / normal function
+   * @return {CommonBin} this
+   */
+  beforeRun(fn) {
+    return this[ADD_HOOK]('beforeRun', fn);
+  }
+
+  /**
+   * register a hook called after `run` succeed as `fn(context, result)`
+   * @param {Function} fn - could be generator / async function / normal function
+   * @return {CommonBin} this
+   */
+  afterRun(fn) {
+    return this[ADD_HOOK]('afterRun', fn);
+  }
+
+  /**
+   * register a hook called when `run` or other hooks fail as `fn(err, context)`, the error is rethrown afterward
+   * @param {Function} fn - could be generator / async function / normal function
+   * @return {CommonBin} this
+   */
+  onError(fn) {
+    return this[ADD_HOOK]('onError', fn);
+  }
+
+  [ADD_HOOK](name, fn) {
+    assert(typeof fn === 'function', `${name} hook should be a function`);
+    this[HOOKS][name].push(fn);
+    return this;
+  }
+
+  /**
+   * enable plugin discovery, plugins are loaded at dispatch when cwd is known.
+   * plugins come from dependencies of project package.json which match the prefixes,
+   * and `plugins` of reco-config (package.json `reco.plugins` is included)
+   * @param {Object} [options] - options
+   * @param {Array} [options.prefixes] - package name prefixes, default to `[ 'reco-plugin-' ]`
+   * @return {CommonBin} this
+   * @example
+   * // plugin entry, could also be a function `(bin) => {}` which returns the same object
+   * module.exports = {
+   *   commands: { deploy: path.join(__dirname, 'deploy.js') },
+   *   aliases: { d: 'deploy' },
+   *   hooks: { beforeRun: checkAuth },
+   *   middlewares: [ timing ],
+   * };
+   */
+  usePlugins(options = {}) {
+    this[PLUGIN_OPTIONS] = Object.assign({ prefixes: ['reco-plugin-'] }, options);
+    return this;
+  }
+
+  /**
+   * enable update notification, a notice is printed after the command when newer version found,
+   * the registry is checked in background at most once a day, see `lib/update-notifier.js`,
+   * disabled at CI, non-TTY or env `RECO_NO_UPDATE_NOTIFIER` set
+   * @param {Object} options - options
+   * @param {String} options.name - package name of the bin
+   * @param {String} [options.version] - running version, default to `this.version`
+   * @param {String} [options.registry] - registry url
+   * @param {Number} [options.interval] - ms between checks, default to one day
+   * @return {CommonBin} this
+   * @example `this.checkUpdate({ name: pkg.name, version: pkg.version })`
+   */
+  checkUpdate(options) {
+    assert(options && options.name, 'options.name is required');
+    this[UPDATE_OPTIONS] = options;
+    return this;
+  }
+
+  /**
+   * load plugins, command name conflicts with others are not allowed
+   * @private
+   */
+  [LOAD_PLUGINS]() {
+    if (!this[PLUGIN_OPTIONS]) return;
+    const pluginOptions = this[PLUGIN_OPTIONS];
+    this[PLUGIN_OPTIONS] = null;
+
+    const cwd = this[EXEC_OPTIONS].cwd || process.cwd();
+    const env = this[EXEC_OPTIONS].env || process.env;
+    const config = configLoader.load({ cwd, env: configLoader.getEnvName(env) });
+    const plugins = pluginLoader.discover({
+      cwd,
+      prefixes: pluginOptions.prefixes,
+      plugins: config.plugins,
+    });
+
+    for (const plugin of plugins) {
+      let exported = require(plugin.path);
+      if (typeof exported === 'function') exported = exported(this) || {};
+      const { commands = {}, aliases = {}, hooks = {}, middlewares = [] } = exported;
+
+      for (const name of Object.keys(commands)) {
+        if (this[COMMANDS].has(name)) {
+          const owner = this[COMMAND_OWNERS].get(name);
+          throw new Error(`command \`${name}\` of plugin ${plugin.name} conflicts with ${owner ? `plugin ${owner}` : 'built-in command'}`);
+        }
+        let target = commands[name];
+        if (typeof target === 'string') target = path.resolve(path.dirname(plugin.path), target);
+        this.add(name, target);
+        this[COMMAND_OWNERS].set(name, plugin.name);
+      }
+
+      for (const alias of Object.keys(aliases)) {
+        if (this[COMMANDS].has(alias)) {
+          const owner = this[COMMAND_OWNERS].get(alias);
+          throw new Error(`alias \`${alias}\` of plugin ${plugin.name} conflicts with ${owner ? `plugin ${owner}` : 'built-in command'}`);
+        }
+        this.alias(alias, aliases[alias]);
+        this[COMMAND_OWNERS].set(alias, plugin.name);
+      }
+
+      for (const name of Object.keys(hooks)) {
+        assert(this[HOOKS][name], `unknown hook \`${name}\` of plugin ${plugin.name}`);
+        [].concat(hooks[name]).forEach(fn => this[ADD_HOOK](name, fn));
+      }
+      middlewares.forEach(fn => this.use(fn));
+
+      debug('[%s] loaded plugin `%s` from `%s`', this.constructor.name, plugin.name, plugin.path);
+    }
+  }
+
+  /**
+   * register schema for a section of reco-config, config is validated before `run` of this command and its sub commands
+   * @param {String} section - top level key of reco-config
+   * @param {Object} schema - see `lib/config-schema.js`
+   * @return {CommonBin} this
+   * @example `registerConfigSchema('mock', { type: 'object', properties: { port: { type: 'number' } } })`
+   */
+  registerConfigSchema(section, schema) {
+    configLoader.registerSchema(section, schema);
+    this[VALIDATE_CONFIG] = true;
+    return this;
+  }
+
+  /**
+   * pass middlewares and hooks down to sub command, parent's go first
+   * @param {CommonBin} parent - parent command
+   * @private
+   */
+  [INHERIT](parent) {
+    this[PARENT] = parent;
+    this[EXEC_OPTIONS] = parent[EXEC_OPTIONS];
+    this[LOGGER] = parent.logger.child(this.constructor.name);
+    this[VALIDATE_CONFIG] = this[VALIDATE_CONFIG] || parent[VALIDATE_CONFIG];
+    this.parserOptions.strict = this.parserOptions.strict || parent.parserOptions.strict;
+    this.parserOptions.execArgvFlags = parent.parserOptions.execArgvFlags.concat(this.parserOptions.execArgvFlags);
+    this[MIDDLEWARES].unshift(...parent[MIDDLEWARES]);
+    for (const name of Object.keys(this[HOOKS])) {
+      this[HOOKS][name].unshift(...parent[HOOKS][name]);
+    }
   }
 
   /**
    * start point of bin process
    */
   start() {
-    co(function* () {
-      // replace `--get-yargs-completions` to our KEY, so yargs will not block our DISPATCH
+    let update = null;
+    const updateOptions = this[UPDATE_OPTIONS];
+    if (updateOptions && !updateNotifier.isDisabled()) {
+      try {
+        update = updateNotifier.check(Object.assign({ version: this.version }, updateOptions));
+      } catch (err) {
+        debug('check update failed: %s', err.message);
+      }
+    }
+    const notify = () => update && process.stderr.write(updateNotifier.notice(update, updateOptions.name));
+
+    this.exec()
+      .then(({ exitCode }) => {
+        notify();
+        if (exitCode) process.exitCode = exitCode;
+      })
+      .catch((err) => {
+        notify();
+        this.errorHandler(err);
+      });
+  }
+
+  /**
+   * execute command programmatically, never call `process.exit`, the same instance could be executed again
+   * @param {Array} [argv] - arguments, default to the `rawArgv` passed to constructor
+   * @param {Object} [options] - options
+   * @param {String} [options.cwd] - working directory of `context.cwd`, default to process.cwd()
+   * @param {Object} [options.env] - environment of `context.env`, default to process.env
+   * @param {Stream} [options.stdout] - writable stream for output, default to process.stdout
+   * @param {Stream} [options.stderr] - writable stream for error output, default to process.stderr
+   * @param {Stream} [options.stdin] - readable stream for prompts, default to process.stdin
+   * @return {Promise} resolve with `{ exitCode, result }`, reject with the original error
+   * @example `const { exitCode, result } = yield new MyBin().exec([ 'build', '--prod' ], { cwd })`
+   */
+  exec(argv, options = {}) {
+    if (argv) this.rawArgv = argv.slice();
+    this[EXEC_OPTIONS] = options;
+    // context and helper of the last execution are based on its argv, cwd and env
+    this[CONTEXT] = null;
+    this[HELPER] = null;
+    this.logger.configure({ stdout: options.stdout, stderr: options.stderr });
+
+    return co(function* () {
       const index = this.rawArgv.indexOf('--get-yargs-completions');
       if (index !== -1) {
-        // bash will request as `--get-yargs-completions my-git remote add`, so need to remove 2
-        this.rawArgv.splice(index, 2, `--AUTO_COMPLETIONS=${this.rawArgv.join(',')}`);
+        // shell will request as `--get-yargs-completions my-git remote add`, the last word is the one being completed
+        const completions = yield this[COMPLETE](this.rawArgv.slice(index + 2));
+        completions.forEach(x => this.print(x));
+        return { exitCode: 0 };
       }
-      yield this[DISPATCH]();
-    }.bind(this)).catch(this.errorHandler.bind(this));
+      return yield this[DISPATCH]();
+    }.bind(this));
   }
 
   /**
-   * default error hander
+   * default error hander, exit with `err.exitCode` or 1
    * @param {Error} err - error object
    * @protected
    */
@@ -183,7 +500,74 @@ class CommonBin {
     console.error('⚠️  Command Error, enable `DEBUG=reco-bin` for detail'.red);
     debug('args %s', process.argv.slice(3));
     debug(err.stack);
-    process.exit(1);
+    process.exit(err.exitCode || 1);
+  }
+
+  /**
+   * describe this command and all nested sub commands, sub commands are created with empty argv
+   * @param {String} [name] - command name, default to `this.name`
+   * @param {String} [binName] - name of the root bin, `$0` of usage and examples is replaced by it, default to `name`
+   * @return {Object} { name, aliases, description, usage, epilog, examples, options, commands }
+   */
+  getCommandTree(name = this.name, binName = name) {
+    const options = [];
+    for (const [key, definition] of this[HELP].options) {
+      options.push(Object.assign({}, definition, {
+        name: key,
+        alias: [].concat(definition.alias || []),
+        description: definition.describe || definition.description || definition.desc || '',
+      }));
+    }
+
+    const commands = [];
+    for (const [subName, Command] of this[COMMANDS]) {
+      if (this[ALIASES].has(subName)) continue;
+      const sub = new Command([]);
+      const node = sub.getCommandTree(`${name} ${subName}`, binName);
+      node.aliases = Array.from(this[ALIASES].keys()).filter(alias => this[ALIASES].get(alias) === subName);
+      commands.push(node);
+    }
+
+    const description = this.description || '';
+    // yargs style `$0 build [options]` is written with the bin name
+    const replaceName = text => (text ? text.replace(/\$0/g, binName) : text);
+    return {
+      name,
+      aliases: [],
+      description,
+      usage: replaceName(this[HELP].usage),
+      epilog: this[HELP].epilog,
+      examples: this[HELP].examples.map(([cmd, desc]) => [replaceName(cmd), desc]),
+      options,
+      commands,
+    };
+  }
+
+  /**
+   * generate reference docs of the whole command tree
+   * @param {Object} options - options
+   * @param {String} options.outDir - output directory
+   * @param {Array} [options.formats] - `markdown` and / or `man`, default to both
+   * @param {Boolean} [options.globalOptions] - whether include global options at the root page, default to true
+   * @return {Array} written files
+   */
+  generateDocs(options) {
+    const tree = this.getCommandTree();
+    if (options.globalOptions !== false) {
+      tree.globalOptions = [
+        { name: 'help', alias: ['h'], type: 'boolean', description: 'Show help' },
+        { name: 'version', alias: ['v'], type: 'boolean', description: 'Show version number' },
+      ].concat(Object.keys(GLOBAL_OPTIONS).map(key => Object.assign({ name: key, alias: [] }, GLOBAL_OPTIONS[key])));
+    }
+    return docGenerator.write(tree, Object.assign({ version: this.version }, options));
+  }
+
+  /**
+   * print message to stdout without logger prefix, such as the result of command
+   * @param {...*} args - same as `console.log`
+   */
+  print(...args) {
+    this[CONSOLE].log(...args);
   }
 
   /**
@@ -191,15 +575,82 @@ class CommonBin {
    * @param {String} [level=log] - console level
    */
   showHelp(level = 'log') {
-    this.yargs.showHelp(level);
+    // yargs parses argv again before printing help, print inside parse callback so `--help` is not handled by yargs
+    this.yargs.parse(this.rawArgv, () => this.yargs.showHelp(msg => this[CONSOLE][level](msg)));
   }
 
   /**
-   * shortcut for yargs.options
+   * shortcut for yargs.options, besides yargs option fields, each option could have:
+   *   - `required` {Boolean} fail if no value after fallback
+   *   - `conflicts` {String|Array} options which could not be set together
+   *   - `implies` {String|Array} options which are required when this one is set
+   *   - `env` {Boolean|String} env name of fallback, default to `RECO_<COMMAND>_<OPTION>`, false to disable,
+   *     the default one is skipped when it's reserved, such as `RECO_ENV` / `RECO_LOG_LEVEL`, set it explicitly
+   *   - `config` {Boolean} whether fallback to `<command>.<option>` of reco-config, default to true
+   *   - `hidden` {Boolean} not shown in help and docs
+   *   - `deprecated` {Boolean|String} shown in help, warn when used
+   *   - `complete` {Function} `(context, { key, current }) => values` provider for shell completion,
+   *     could be generator / async function / normal function
+   * value is resolved by the chain: cli flag -> env -> reco-config -> default, see `context.argv.$sources`
    * @param  {Object} opt - an object set to `yargs.options`
+   * @example
+   * this.options = {
+   *   port: { type: 'number', default: 8080, description: 'server port' }, // or env `RECO_DEV_PORT`
+   *   https: { type: 'boolean', implies: 'cert' },
+   *   cert: { type: 'string' },
+   * };
    */
   set options(opt) {
-    this.yargs.options(opt);
+    for (const key of Object.keys(opt)) {
+      const definition = Object.assign({}, opt[key]);
+      if (definition.demandOption) definition.required = true;
+      this[HELP].options.set(key, definition);
+
+      // default / required / choices / conflicts / implies are handled after fallback, see `RESOLVE_OPTIONS`
+      const yargsOpt = Object.assign({}, definition);
+      ['hidden', 'deprecated', 'complete', 'env', 'config', 'default', 'required', 'demandOption',
+        'choices', 'conflicts', 'implies'].forEach(field => delete yargsOpt[field]);
+      let desc = definition.describe || definition.description || definition.desc || '';
+      delete yargsOpt.describe;
+      delete yargsOpt.desc;
+      delete yargsOpt.description;
+
+      if (!definition.hidden) {
+        if (definition.required) desc = `${desc} [required]`.trim();
+        if (definition.choices) desc = `${desc} [choices: ${definition.choices.map(item => JSON.stringify(item)).join(', ')}]`.trim();
+        if (definition.deprecated) {
+          const notice = typeof definition.deprecated === 'string' ? `[deprecated: ${definition.deprecated}]` : '[deprecated]';
+          desc = `${desc} ${notice}`.trim();
+        }
+        if (definition.default !== undefined && !yargsOpt.defaultDescription) {
+          yargsOpt.defaultDescription = typeof definition.default === 'function' ? '(generated-value)' : JSON.stringify(definition.default);
+        }
+        // yargs print options which has description
+        yargsOpt.description = desc || ' ';
+      }
+      this.yargs.option(key, yargsOpt);
+    }
+  }
+
+  /**
+   * shortcut for yargs.example
+   * @param {Array} examples - `[[ command, description ]]`, `$0` is replaced with bin name
+   * @example `this.examples = [[ '$0 build --prod', 'build for production' ]]`
+   */
+  set examples(examples) {
+    for (const [cmd, description] of examples) {
+      this[HELP].examples.push([cmd, description]);
+      this.yargs.example(cmd, description);
+    }
+  }
+
+  /**
+   * shortcut for yargs.epilog
+   * @param {String} epilog - text at the end of help message
+   */
+  set epilog(epilog) {
+    this[HELP].epilog = epilog;
+    this.yargs.epilog(epilog);
   }
 
   /**
@@ -207,11 +658,13 @@ class CommonBin {
    * @param  {String} usage - usage info
    */
   set usage(usage) {
+    this[HELP].usage = usage;
     this.yargs.usage(usage);
   }
 
   /**
-   * helper function
+   * helper function, children started by it get `context.env` by default, and `prompt` is prefilled by argv,
+   * which are kept in this command, so commands executed in the same process never share them
    * @type {Object}
    */
   get helper() {
@@ -221,7 +674,19 @@ class CommonBin {
           helper[key] = helper[key].bind(this);
         }
       });
-      this[HELPER] = helper;
+      const withEnv = options => Object.assign({ env: this[CONTEXT] && this[CONTEXT].env }, options);
+      const commandPrompt = prompt.create();
+      this[HELPER] = Object.assign(Object.create(helper), {
+        prompt: commandPrompt,
+        spawn: (cmd, args, options) => helper.spawn(cmd, args, withEnv(options)),
+        forkNode: (modulePath, args, options) => helper.forkNode(modulePath, args, withEnv(options)),
+        forkNodeWatch: (modulePath, args, options) => helper.forkNodeWatch(modulePath, args, withEnv(options)),
+        concurrently: (tasks, options) => helper.concurrently(tasks, withEnv(options)),
+        checkBundleSize: (ctx, stats, options) =>
+          helper.checkBundleSize(ctx, stats, Object.assign({ logger: this.logger }, options)),
+        installToolkit: (recoDir, pkgName, options) =>
+          helper.installToolkit(recoDir, pkgName, Object.assign({ prompt: commandPrompt }, options)),
+      });
     }
     return this[HELPER];
   }
@@ -240,27 +705,44 @@ class CommonBin {
    * @param {String} context.cwd - process.cwd()
    * @param {Object} context.argv - argv parse result by yargs, `{ _: [ 'start' ], '$0': '/usr/local/bin/reco-bin', baseDir: 'simple'}`
    * @param {Array} context.rawArgv - the raw argv, `[ "--baseDir=simple" ]`
+   * @return {Object} { exitCode, result }
    * @private
    */
   * [DISPATCH]() {
-    // define --help and --version by default
-    this.yargs
-      // .reset()
-      .completion()
-      .help()
-      .version()
-      .wrap(120)
-      .alias('h', 'help')
-      .alias('v', 'version')
-      .group(['help', 'version'], 'Global Options:');
+    this[LOAD_PLUGINS]();
+
+    // define --help and --version by default, once for executing more than one time, or aliases are duplicated
+    if (!this[GLOBAL_OPTIONS_REGISTERED]) {
+      this[GLOBAL_OPTIONS_REGISTERED] = true;
+      this.yargs
+        // .reset()
+        .exitProcess(false)
+        .help()
+        .version()
+        .wrap(120)
+        .alias('h', 'help')
+        .alias('v', 'version')
+        .options(GLOBAL_OPTIONS)
+        .group(['help', 'version'].concat(Object.keys(GLOBAL_OPTIONS)), 'Global Options:');
+    }
 
     // get parsed argument without handling helper and version
-    const parsed = yield this[PARSE](this.rawArgv);
+    const { argv: parsed, output } = yield this[PARSE](this.rawArgv);
     const commandName = parsed._[0];
+    this.logger.configure(this[LOG_OPTIONS](parsed));
+
+    if (parsed.version) {
+      // yargs guesses version from package.json when not set
+      this[CONSOLE].log(this.version || output.trim());
+      return { exitCode: 0 };
+    }
 
-    if (parsed.version && this.version) {
-      console.log(this.version);
-      return;
+    // print completion script, only for root command
+    if (commandName === 'completion' && !this[COMMANDS].has(commandName) && !this[PARENT] && !parsed.help) {
+      const env = this[EXEC_OPTIONS].env || process.env;
+      const shell = parsed._[1] || (env.SHELL ? path.basename(env.SHELL) : 'bash');
+      this.print(completion.script(shell, this.name));
+      return { exitCode: 0 };
     }
 
     // if sub command exist
@@ -271,31 +753,238 @@ class CommonBin {
 
       debug('[%s] dispatch to subcommand `%s` -> `%s` with %j', this.constructor.name, commandName, Command.name, rawArgv);
       const command = new Command(rawArgv);
-      yield command[DISPATCH]();
-      return;
+      command[INHERIT](this);
+      command[COMMAND_PATH] = this[COMMAND_PATH].concat(this[ALIASES].get(commandName) || commandName);
+      return yield command[DISPATCH]();
+    }
+
+    if (this.parserOptions.strict && !parsed.help) {
+      this[CHECK_STRICT](parsed);
     }
 
-    // register command for printing
-    for (const [name, Command] of this[COMMANDS].entries()) {
-      this.yargs.command(name, Command.prototype.description || '');
+    // warn deprecated options
+    for (const [key, definition] of this[HELP].options) {
+      if (definition.deprecated && this[PROVIDED](key, definition)) {
+        this.logger.warn(`\`--${key}\` is deprecated${typeof definition.deprecated === 'string' ? `, ${definition.deprecated}` : ''}`);
+      }
+    }
+
+    // register command for printing, once for executing more than one time
+    if (!this[COMMANDS_REGISTERED]) {
+      this[COMMANDS_REGISTERED] = true;
+      for (const [name, Command] of this[COMMANDS].entries()) {
+        if (this[ALIASES].has(name)) continue;
+        const aliases = Array.from(this[ALIASES].keys()).filter(alias => this[ALIASES].get(alias) === name);
+        this.yargs.command([name].concat(aliases), Command.prototype.description || '');
+      }
+      if (!this[PARENT]) this.yargs.command('completion [shell]', `Generate completion script for ${completion.SHELLS.join(' / ')}`);
+    }
+
+    if (parsed.help) {
+      this.showHelp();
+      return { exitCode: 0 };
     }
 
     debug('[%s] exec run command', this.constructor.name);
     const context = this.context;
 
-    // print completion for bash
-    if (context.argv.AUTO_COMPLETIONS) {
-      // slice to remove `--AUTO_COMPLETIONS=` which we append
-      this.yargs.getCompletion(this.rawArgv.slice(1), (completions) => {
-        // console.log('%s', completions)
-        completions.forEach(x => console.log(x));
+    // load config at first, so invalid config fails fast
+    if (this[VALIDATE_CONFIG]) context.config; // eslint-disable-line no-unused-expressions
+
+    // handle by self
+    const result = yield this[RUN](context);
+    return { exitCode: this.context.exitCode || 0, result };
+  }
+
+  /**
+   * get completion candidates, walk down to the sub command by the first positional word
+   * @param {Array} words - words after bin name, the last one is being completed
+   * @return {Array} candidates
+   * @private
+   */
+  * [COMPLETE](words) {
+    this[LOAD_PLUGINS]();
+    // providers get the context without option validation
+    this[COMPLETING] = true;
+
+    const current = words.length ? words[words.length - 1] : '';
+    const args = words.slice(0, -1);
+
+    // dispatch to sub command
+    const index = args.findIndex(word => !word.startsWith('-'));
+    if (index !== -1 && this[COMMANDS].has(args[index])) {
+      const Command = this[COMMANDS].get(args[index]);
+      const command = new Command(args.slice(index + 1));
+      command[INHERIT](this);
+      command[COMMAND_PATH] = this[COMMAND_PATH].concat(this[ALIASES].get(args[index]) || args[index]);
+      return yield command[COMPLETE](words.slice(index + 1));
+    }
+
+    const definitions = new Map(Object.keys(GLOBAL_OPTIONS).map(key => [key, GLOBAL_OPTIONS[key]]));
+    for (const [key, definition] of this[HELP].options) definitions.set(key, definition);
+    const lookup = (flag) => {
+      const name = flag.replace(/^-+/, '').split('=')[0];
+      for (const [key, definition] of definitions) {
+        if (key === name || [].concat(definition.alias || []).includes(name)) return [key, definition];
+      }
+      return [];
+    };
+    const filter = list => list.filter(item => String(item).startsWith(current)).map(String);
+
+    // complete option value, `--key=<value>` or `--key <value>`
+    const prev = args[args.length - 1];
+    let prefix = '';
+    let target = [];
+    if (current.startsWith('-') && current.includes('=')) {
+      prefix = current.slice(0, current.indexOf('=') + 1);
+      target = lookup(current);
+    } else if (prev && prev.startsWith('-') && !prev.includes('=')) {
+      target = lookup(prev);
+    }
+    const [key, definition] = target;
+    if (definition && definition.type !== 'boolean') {
+      let values = definition.choices || [];
+      if (typeof definition.complete === 'function') {
+        try {
+          const fnArgs = [this.context, { key, current: current.slice(prefix.length) }];
+          values = (yield this.helper.callFn(definition.complete, fnArgs, this)) || [];
+        } catch (err) {
+          // never print error at TAB
+          debug('[%s] complete `--%s` failed: %s', this.constructor.name, key, err.message);
+          values = [];
+        }
+      }
+      return filter(values.map(value => `${prefix}${value}`));
+    }
+
+    if (current.startsWith('-')) {
+      const flags = ['--help', '--version'];
+      for (const [name, item] of definitions) {
+        if (!item.hidden) flags.push(`--${name}`);
+      }
+      return filter(flags);
+    }
+
+    const commands = Array.from(this[COMMANDS].keys());
+    if (!this[PARENT]) commands.push('completion');
+    if (args[index] === 'completion' && !this[PARENT]) return filter(completion.SHELLS);
+    return filter(commands);
+  }
+
+  /**
+   * keys and aliases of options declared by command, including global options
+   * @return {Set} keys
+   * @private
+   */
+  [DECLARED_KEYS]() {
+    const options = this.yargs.getOptions();
+    const names = new Set(Object.keys(options.key));
+    for (const key of Object.keys(options.alias)) {
+      names.add(key);
+      options.alias[key].forEach(alias => names.add(alias));
+    }
+    return names;
+  }
+
+  /**
+   * check unknown command and options, with did-you-mean suggestions
+   * unknown command is only checked when there are sub commands and `run` is not overridden
+   * @param {Object} parsed - parsed argv
+   * @private
+   */
+  [CHECK_STRICT](parsed) {
+    const commandName = parsed._[0];
+    if (commandName !== undefined && commandName !== 'completion' && this[COMMANDS].size && this.run === CommonBin.prototype.run) {
+      const suggestions = suggest(String(commandName), Array.from(this[COMMANDS].keys()));
+      const err = new Error(`Unknown command \`${commandName}\`${suggestions.length ? `, did you mean ${suggestions.map(x => `\`${x}\``).join(' / ')}?` : ''}`);
+      err.name = 'UnknownCommandError';
+      err.exitCode = 2;
+      throw err;
+    }
+
+    const names = this[DECLARED_KEYS]();
+    const known = new Set(['_', '$0']);
+    for (const key of names) {
+      known.add(key);
+      known.add(changeCase.camel(key));
+    }
+    const { keys } = this.helper.extractExecArgv(parsed, {
+      flags: this.parserOptions.execArgvFlags,
+      exclude: Array.from(names),
+    });
+    keys.forEach((key) => {
+      known.add(key);
+      known.add(changeCase.camel(key));
+    });
+
+    const unknown = Object.keys(parsed).filter(key => !known.has(key));
+    // yargs adds camel case key for `--foo-bar`, only report the origin one
+    const reported = unknown.filter(key => !unknown.some(other => other !== key && changeCase.camel(other) === key));
+    if (reported.length) {
+      const candidates = Array.from(names);
+      const messages = reported.map((key) => {
+        const flag = key.length > 1 ? `--${key}` : `-${key}`;
+        const suggestions = suggest(key, candidates, 1).map(x => (x.length > 1 ? `--${x}` : `-${x}`));
+        return `\`${flag}\`${suggestions.length ? ` (did you mean \`${suggestions[0]}\`?)` : ''}`;
       });
-    } else {
-      // handle by self
-      yield this.helper.callFn(this.run, [context], this);
+      const err = new Error(`Unknown option${reported.length > 1 ? 's' : ''} ${messages.join(', ')}`);
+      err.name = 'UnknownOptionError';
+      err.exitCode = 2;
+      throw err;
+    }
+  }
+
+  /**
+   * call `run` with hooks and middlewares
+   * @param {Object} context - context object
+   * @return {Object} result of `run`
+   * @private
+   */
+  * [RUN](context) {
+    const hooks = this[HOOKS];
+    try {
+      for (const fn of hooks.beforeRun) {
+        const ret = yield this.helper.callFn(fn, [context], this);
+        if (ret && typeof ret === 'object') context = ret;
+      }
+      this[CONTEXT] = context;
+
+      const result = yield this[COMPOSE](context);
+
+      for (const fn of hooks.afterRun) {
+        yield this.helper.callFn(fn, [context, result], this);
+      }
+      return result;
+    } catch (err) {
+      for (const fn of hooks.onError) {
+        yield this.helper.callFn(fn, [err, context], this);
+      }
+      throw err;
     }
   }
 
+  /**
+   * compose middlewares with `run` as the innermost one
+   * @param {Object} context - context object
+   * @return {Promise} result of `run`
+   * @private
+   */
+  [COMPOSE](context) {
+    const middlewares = this[MIDDLEWARES];
+    const dispatch = (i) => {
+      const fn = middlewares[i];
+      if (!fn) return co(this.helper.callFn(this.run, [context], this));
+      let called = false;
+      const next = () => {
+        assert(!called, 'next() called multiple times');
+        called = true;
+        return dispatch(i + 1);
+      };
+      return co(this.helper.callFn(fn, [context, next], this));
+    };
+    return dispatch(0);
+  }
+
    /**
    * getter of context, default behavior is remove `help` / `h` / `version`
    * @return {Object} context - { cwd, env, argv, rawArgv }
@@ -307,23 +996,51 @@ class CommonBin {
 
   /**
    * getter of context, default behavior is remove `help` / `h` / `version`
-   * @return {Object} context - { cwd, env, argv, rawArgv }
+   * @return {Object} context - { cwd, env, envFiles, argv, rawArgv, config }
    * @protected
    */
   get context() {
     if (!this[CONTEXT]) {
-      const argv = this.yargs.argv;
+      // parse with callback, so yargs never prints or exits
+      const argv = this.yargs.parse(this.rawArgv, () => {});
       const context = {
         argv,
-        cwd: process.cwd(),
-        env: Object.assign({}, process.env),
+        cwd: this[EXEC_OPTIONS].cwd || process.cwd(),
+        env: Object.assign({}, this[EXEC_OPTIONS].env || process.env),
         rawArgv: this.rawArgv,
       };
 
+      // load .env files, real env is never overridden, children started by `this.helper` get the same env
+      const dotenvResult = dotenv.load({ cwd: context.cwd, env: context.env, envFile: argv['env-file'] });
+      context.env = dotenvResult.env;
+      context.envFiles = dotenvResult.files;
+
+      // merged reco-config of current env, loaded at first access
+      Object.defineProperty(context, 'config', {
+        configurable: true,
+        enumerable: true,
+        get: () => configLoader.load({ cwd: context.cwd, env: configLoader.getEnvName(context.env) }),
+      });
+
+      // answers of `helper.prompt` are prefilled by argv
+      this.helper.prompt.configure({
+        argv,
+        yes: !!argv.yes,
+        input: this[EXEC_OPTIONS].stdin || process.stdin,
+        output: this[EXEC_OPTIONS].stdout || process.stdout,
+      });
+
       argv.help = undefined;
       argv.h = undefined;
       argv.version = undefined;
       argv.v = undefined;
+      for (const key of Object.keys(GLOBAL_OPTIONS)) {
+        argv[key] = undefined;
+        argv[changeCase.camel(key)] = undefined;
+      }
+
+      // fallback to env / config / default, then validate
+      this[RESOLVE_OPTIONS](context);
 
       // remove alias result
       if (this.parserOptions.removeAlias) {
@@ -346,14 +1063,30 @@ class CommonBin {
 
       // extract execArgv
       if (this.parserOptions.execArgv) {
-        // extract from command argv
-        let { debugPort, debugOptions, execArgvObj } = this.helper.extractExecArgv(argv); // eslint-disable-line prefer-const
+        const flagOptions = { flags: this.parserOptions.execArgvFlags };
+        // extract from command argv, options declared by command are kept, such as its own `--import`
+        const extracted = this.helper.extractExecArgv(argv, {
+          flags: this.parserOptions.execArgvFlags,
+          exclude: Array.from(this[DECLARED_KEYS]()),
+        });
+        let { debugPort, debugOptions, execArgvObj } = extracted;
+
+        // extract debug flags from `$NODE_OPTIONS`, which is lower than command argv,
+        // and remove them from env, otherwise every child would listen to the same port
+        const nodeOptions = this.helper.splitNodeOptions(context.env.NODE_OPTIONS);
+        if (nodeOptions.debugArgv.length) {
+          const obj = this.helper.extractExecArgv(parser(nodeOptions.debugArgv.join(' ')), flagOptions);
+          debugPort = debugPort || obj.debugPort;
+          debugOptions = Object.assign(obj.debugOptions, debugOptions);
+          execArgvObj = Object.assign(obj.execArgvObj, execArgvObj);
+          context.env.NODE_OPTIONS = nodeOptions.otherArgv.join(' ');
+        }
 
         // extract from WebStorm env `$NODE_DEBUG_OPTION`
         if (context.env.NODE_DEBUG_OPTION) {
-          console.log('Use $NODE_DEBUG_OPTION: %s', context.env.NODE_DEBUG_OPTION);
+          this[CONSOLE].log('Use $NODE_DEBUG_OPTION: %s', context.env.NODE_DEBUG_OPTION);
           const argvFromEnv = parser(context.env.NODE_DEBUG_OPTION);
-          const obj = this.helper.extractExecArgv(argvFromEnv);
+          const obj = this.helper.extractExecArgv(argvFromEnv, flagOptions);
           debugPort = obj.debugPort || debugPort;
           Object.assign(debugOptions, obj.debugOptions);
           Object.assign(execArgvObj, obj.execArgvObj);
@@ -361,11 +1094,11 @@ class CommonBin {
 
         // `--expose_debug_as` is not supported by 7.x+
         if (execArgvObj.expose_debug_as && semver.gte(process.version, '7.0.0')) {
-          console.warn(`Node.js runtime is ${process.version}, and inspector protocol is not support --expose_debug_as`.yellow);
+          this[CONSOLE].warn(`Node.js runtime is ${process.version}, and inspector protocol is not support --expose_debug_as`.yellow);
         }
 
-        // remove from origin argv
-        for (const key of Object.keys(execArgvObj)) {
+        // remove from origin argv, including short flags such as `-r`
+        for (const key of Object.keys(execArgvObj).concat(extracted.keys)) {
           argv[key] = undefined;
           argv[changeCase.camel(key)] = undefined;
         }
@@ -384,14 +1117,177 @@ class CommonBin {
     return this[CONTEXT];
   }
 
+  /**
+   * resolve logger options from argv, env and `this.logOptions`, sub command starts from the resolved ones of parent
+   * @param {Object} argv - parsed argv
+   * @return {Object} { level, json, file }
+   * @private
+   */
+  [LOG_OPTIONS](argv) {
+    const env = this[EXEC_OPTIONS].env || process.env;
+    let options = this.logOptions;
+    if (this[PARENT]) {
+      const { level, json, file } = this[PARENT].logger.options;
+      options = { level, json, file };
+      for (const key of Object.keys(this.logOptions)) {
+        if (this.logOptions[key] !== DEFAULT_LOG_OPTIONS[key]) options[key] = this.logOptions[key];
+      }
+    }
+
+    let level = env.RECO_LOG_LEVEL || options.level;
+    // a typo of env should not break every command, while `logOptions.level` is still asserted by logger
+    if (env.RECO_LOG_LEVEL && !Logger.LEVELS.hasOwnProperty(level)) {
+      if (!this[PARENT]) {
+        this.logger.warn(`unknown log level \`${level}\` of env RECO_LOG_LEVEL, should be one of ${Object.keys(Logger.LEVELS)}, fallback to \`${options.level}\``);
+      }
+      level = options.level;
+    }
+    if (argv.verbose) level = 'debug';
+    if (argv.silent) level = 'error';
+
+    const json = env.RECO_LOG_FORMAT ? env.RECO_LOG_FORMAT === 'json' : !!options.json;
+
+    let file = env.RECO_LOG_FILE || options.file;
+    if (file === 'true' || file === '1' || file === true) file = 'reco.log';
+    if (file) file = path.resolve(this[EXEC_OPTIONS].cwd || process.cwd(), 'run', file);
+
+    return { level, json, file };
+  }
+
+  /**
+   * whether the option is passed by command line
+   * @param {String} key - option name
+   * @param {Object} definition - option definition
+   * @return {Boolean} provided
+   * @private
+   */
+  [PROVIDED](key, definition) {
+    const names = [key, changeCase.camel(key), changeCase.param(key)].concat(definition.alias || []);
+    return this.rawArgv.some((arg) => {
+      if (arg === '--') return false;
+      return names.some((name) => {
+        if (name.length === 1) return /^-[^-]/.test(arg) && arg.split('=')[0].includes(name);
+        return arg === `--${name}` || arg.startsWith(`--${name}=`) || arg === `--no-${name}`;
+      });
+    });
+  }
+
+  /**
+   * resolve declared options by the chain: cli flag -> env `RECO_<COMMAND>_<OPTION>` -> reco-config -> default,
+   * the sources are recorded at non-enumerable `argv.$sources`
+   * @param {Object} context - context object
+   * @private
+   */
+  [RESOLVE_OPTIONS](context) {
+    const { argv } = context;
+    const sources = {};
+    const problems = [];
+    const commandPath = this[COMMAND_PATH];
+    const envNameOf = (key, definition) => {
+      if (typeof definition.env === 'string') return definition.env;
+      const name = ['RECO'].concat(commandPath, key).map(item => changeCase.constant(item)).join('_');
+      return RESERVED_ENV.includes(name) ? undefined : name;
+    };
+    let section;
+
+    for (const [key, definition] of this[HELP].options) {
+      if (this[PROVIDED](key, definition)) {
+        sources[key] = 'cli';
+        continue;
+      }
+
+      let value;
+      let source;
+      const envName = definition.env !== false && envNameOf(key, definition);
+
+      if (envName && context.env[envName] !== undefined) {
+        value = parseEnvValue(context.env[envName], definition);
+        source = `env:${envName}`;
+      } else if (definition.config !== false && commandPath.length) {
+        // root command has no config section
+        if (section === undefined) section = this.helper.getByPath(context.config, commandPath.join('.')) || {};
+        const configKey = section[key] === undefined ? changeCase.camel(key) : key;
+        if (section[configKey] !== undefined) {
+          value = section[configKey];
+          source = `config:${commandPath.join('.')}.${configKey}`;
+        }
+      }
+
+      if (source) {
+        if (definition.coerce) value = definition.coerce(value);
+      } else if (definition.default !== undefined) {
+        value = typeof definition.default === 'function' ? definition.default() : definition.default;
+        source = 'default';
+      } else {
+        // keep what yargs gives, such as `false` for boolean
+        value = argv[key];
+        source = 'none';
+      }
+
+      argv[key] = value;
+      if (changeCase.camel(key) !== key) argv[changeCase.camel(key)] = value;
+      sources[key] = source;
+    }
+
+    // `--no-foo` turns the option off, which neither conflicts nor implies
+    const isSet = key => argv[key] !== undefined && argv[key] !== false && !['none', 'default'].includes(sources[key]);
+    for (const [key, definition] of this[HELP].options) {
+      const value = argv[key];
+      if (definition.required && value === undefined) {
+        const envName = definition.env !== false && envNameOf(key, definition);
+        const hint = envName ? `, could also be set by env \`${envName}\`` : '';
+        problems.push(`\`--${key}\` is required${hint}`);
+        continue;
+      }
+      if (definition.choices && value !== undefined) {
+        const invalid = [].concat(value).filter(item => !definition.choices.includes(item));
+        if (invalid.length) {
+          problems.push(`\`--${key}\` from ${sources[key]} got ${invalid.map(item => JSON.stringify(item)).join(', ')}, should be one of ${definition.choices.map(item => JSON.stringify(item)).join(', ')}`);
+        }
+      }
+      if (!isSet(key)) continue;
+      for (const other of [].concat(definition.conflicts || [])) {
+        if (isSet(other)) problems.push(`\`--${key}\` and \`--${other}\` are mutually exclusive`);
+      }
+      for (const other of [].concat(definition.implies || [])) {
+        if (argv[other] === undefined || argv[other] === false) problems.push(`\`--${key}\` requires \`--${other}\``);
+      }
+    }
+
+    Object.defineProperty(argv, '$sources', { value: sources, configurable: true });
+
+    // incomplete command line is expected while completing
+    if (problems.length && !this[COMPLETING]) {
+      const err = new Error(`Invalid options:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+      err.name = 'OptionValidationError';
+      err.exitCode = 2;
+      throw err;
+    }
+  }
+
   [PARSE](rawArgv) {
     return new Promise((resolve, reject) => {
       /* istanbul ignore next */
-      this.yargs.parse(rawArgv, (err, argv) => (err ? reject(err) : resolve(argv)));
+      this.yargs.parse(rawArgv, (err, argv, output) => (err ? reject(err) : resolve({ argv, output })));
     });
   }
 }
 
+function parseEnvValue(value, definition) {
+  switch (definition.type) {
+    case 'number': {
+      const number = Number(value);
+      return Number.isNaN(number) ? value : number;
+    }
+    case 'boolean':
+      return !['', '0', 'false', 'no', 'off'].includes(value.toLowerCase());
+    case 'array':
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+}
+
 delegate(CommonBin.prototype, 'logger')
   .method('debug')
   .method('info')
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const Command = require('../command');
+const diff = require('../object-diff');
+const configLoader = require('../config-loader');
+const { suggest } = require('../suggest');
+
+/**
+ * inspect resolved config, could be mounted by any bin
+ * @example `this.add('config', require('@tencent/reco-bin').ConfigCommand)`
+ */
+class ConfigCommand extends Command {
+  constructor(rawArgv) {
+    super(rawArgv);
+    this.usage = 'Usage: reco config [path] [options]';
+    this.options = {
+      env: {
+        type: 'string',
+        description: 'env name, default to $RECO_ENV or $NODE_ENV',
+      },
+      diff: {
+        type: 'boolean',
+        description: 'diff with the last dump at run/webpack.<env>.json',
+      },
+      compare: {
+        type: 'string',
+        description: 'diff with the resolved config of another env, such as `--compare=production`',
+      },
+    };
+  }
+
+  get description() {
+    return 'Show resolved config, or diff it with the last dump or another env';
+  }
+
+  /**
+   * resolve config of special env, default to the webpack config of reco-config,
+   * override it to include the client config of toolkit
+   * @param {Object} ctx - command context
+   * @param {String} envName - env name
+   * @return {Object} config
+   * @protected
+   */
+  resolveConfig(ctx, envName) {
+    return this.helper.mergeWebpackConfig(ctx, {}, envName);
+  }
+
+  * run(ctx) {
+    const { argv } = ctx;
+    const envName = argv.env || configLoader.getEnvName(ctx.env);
+    const keyPath = argv._[0] ? String(argv._[0]) : '';
+    const pick = config => (keyPath ? this.helper.getByPath(config, keyPath) : config);
+    const resolve = function* (name) {
+      const config = yield this.helper.callFn(this.resolveConfig, [ctx, name], this);
+      return this.helper.serializeConfig(config);
+    }.bind(this);
+    const current = yield resolve(envName);
+
+    if (argv.compare) {
+      const other = yield resolve(argv.compare);
+      this.printDiff(pick(other), pick(current), `${argv.compare} -> ${envName}`);
+      return;
+    }
+
+    if (argv.diff) {
+      const dumpFile = path.join(ctx.cwd, `run/webpack.${envName}.json`);
+      if (!fs.existsSync(dumpFile)) {
+        throw new Error(`${dumpFile} not found, the config is dumped at build`);
+      }
+      let last = JSON.parse(fs.readFileSync(dumpFile, 'utf8'));
+      // the dump is the whole client config, while only reco-config is resolved by default
+      if (this.resolveConfig === ConfigCommand.prototype.resolveConfig) {
+        this.logger.info('Only keys of reco-config are compared, override `resolveConfig` to include toolkit config');
+        last = intersect(last, current);
+      }
+      this.printDiff(pick(last), pick(current), `${path.relative(ctx.cwd, dumpFile)} -> ${envName}`);
+      return;
+    }
+
+    const config = pick(current);
+    if (config === undefined) throw pathNotFound(current, keyPath);
+    this.print(typeof config === 'string' ? config : JSON.stringify(config, null, 2));
+  }
+
+  /**
+   * print difference
+   * @param {*} before - old config
+   * @param {*} after - new config
+   * @param {String} title - title
+   * @protected
+   */
+  printDiff(before, after, title) {
+    const changes = diff(before, after);
+    this.print(title.bold);
+    if (!changes.length) {
+      this.print('No difference');
+      return;
+    }
+    const show = value => JSON.stringify(value);
+    for (const change of changes) {
+      const keyPath = change.path || '(root)';
+      if (change.type === 'added') {
+        this.print(`+ ${keyPath}: ${show(change.after)}`.green);
+      } else if (change.type === 'removed') {
+        this.print(`- ${keyPath}: ${show(change.before)}`.red);
+      } else {
+        this.print(`~ ${keyPath}: ${show(change.before)} -> ${show(change.after)}`.yellow);
+      }
+    }
+  }
+}
+
+module.exports = ConfigCommand;
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// error of missing key path, with suggestions from the keys of the deepest existing parent
+function pathNotFound(config, keyPath) {
+  const parts = keyPath.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+  let parent = config;
+  let depth = 0;
+  while (depth < parts.length - 1 && parent && typeof parent[parts[depth]] === 'object') {
+    parent = parent[parts[depth]];
+    depth++;
+  }
+  const prefix = parts.slice(0, depth).map(part => `${part}.`).join('');
+  const candidates = parent && typeof parent === 'object' ? Object.keys(parent) : [];
+  const suggestions = suggest(parts[depth], candidates).map(key => `\`${prefix}${key}\``);
+  const err = new Error(`Config path \`${keyPath}\` not found${suggestions.length ? `, did you mean ${suggestions.join(' / ')}?` : ''}`);
+  err.name = 'ConfigPathError';
+  return err;
+}
+
+// keep keys of `target` which `source` has, nested objects are picked too
+function intersect(target, source) {
+  if (!isObject(target) || !isObject(source)) return target;
+  return Object.keys(source).reduce((result, key) => {
+    if (key in target) result[key] = intersect(target[key], source[key]);
+    return result;
+  }, {});
+}
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const Command = require('../command');
+const { formatTable } = require('../size-budget');
+const { ToolkitManager, installPrefix } = require('../toolkit');
+const { parseSpec } = require('../registry');
+
+/**
+ * base of toolkit sub commands, options are shared
+ */
+class ToolkitBaseCommand extends Command {
+  constructor(rawArgv) {
+    super(rawArgv);
+    this.options = {
+      prefix: {
+        type: 'string',
+        description: 'install prefix, default to the one of current bin',
+        env: 'RECO_TOOLKIT_PREFIX',
+      },
+      registry: {
+        type: 'string',
+        description: 'registry url, default to .npmrc',
+      },
+      'package-manager': {
+        type: 'string',
+        choices: ['npm', 'yarn', 'pnpm'],
+        description: 'default to detect by lock file',
+      },
+    };
+  }
+
+  /**
+   * create manager of the prefix
+   * @param {Object} ctx - command context
+   * @return {ToolkitManager} manager
+   * @protected
+   */
+  createManager(ctx) {
+    const { argv } = ctx;
+    return new ToolkitManager({
+      prefix: argv.prefix ? path.resolve(ctx.cwd, argv.prefix) : installPrefix(binDir()),
+      registry: argv.registry && this.helper.getRegistryByType(argv.registry, ctx.cwd),
+      packageManager: argv['package-manager'],
+      cwd: ctx.cwd,
+      logger: this.logger,
+    });
+  }
+}
+
+class ListCommand extends ToolkitBaseCommand {
+  constructor(rawArgv) {
+    super(rawArgv);
+    this.usage = 'Usage: reco toolkit list [options]';
+  }
+
+  get description() {
+    return 'List installed toolkits';
+  }
+
+  * run(ctx) {
+    const manager = this.createManager(ctx);
+    const toolkits = manager.list();
+    if (!toolkits.length) {
+      this.print(`No toolkit installed at ${manager.prefix}`);
+      return toolkits;
+    }
+    const rows = toolkits.map(item => [item.name, item.range, item.version || 'missing'.red]);
+    this.print(formatTable(['Name', 'Range', 'Installed'], rows));
+    return toolkits;
+  }
+}
+
+class InstallCommand extends ToolkitBaseCommand {
+  constructor(rawArgv) {
+    super(rawArgv);
+    this.usage = 'Usage: reco toolkit install <name[@range]...> [options]';
+  }
+
+  get description() {
+    return 'Install toolkits, a version or range could be pinned such as `name@^1.2.0`';
+  }
+
+  * run(ctx) {
+    const specs = ctx.argv._.map(String);
+    if (!specs.length) throw new Error('toolkit name is required');
+    const manager = this.createManager(ctx);
+    const result = [];
+    for (const spec of specs) {
+      result.push(yield manager.install(spec));
+    }
+    return result;
+  }
+}
+
+class UpgradeCommand extends ToolkitBaseCommand {
+  constructor(rawArgv) {
+    super(rawArgv);
+    this.usage = 'Usage: reco toolkit upgrade [name[@range]...] [options]';
+  }
+
+  get description() {
+    return 'Upgrade toolkits, default to all, roll back when the new version is broken';
+  }
+
+  * run(ctx) {
+    const manager = this.createManager(ctx);
+    let specs = ctx.argv._.map(String);
+    if (!specs.length) specs = manager.list().filter(item => item.version).map(item => item.name);
+    const result = [];
+    for (const spec of specs) {
+      const { name, range } = parseSpec(spec);
+      result.push(yield manager.upgrade(name, range));
+    }
+    return result;
+  }
+}
+
+class RemoveCommand extends ToolkitBaseCommand {
+  constructor(rawArgv) {
+    super(rawArgv);
+    this.usage = 'Usage: reco toolkit remove <name...> [options]';
+  }
+
+  get description() {
+    return 'Remove toolkits';
+  }
+
+  * run(ctx) {
+    const names = ctx.argv._.map(String);
+    if (!names.length) throw new Error('toolkit name is required');
+    const manager = this.createManager(ctx);
+    for (const name of names) {
+      yield manager.remove(name);
+    }
+  }
+}
+
+/**
+ * manage toolkits installed beside the bin, could be mounted by any bin
+ * @example `this.add('toolkit', require('@tencent/reco-bin').ToolkitCommand)`
+ */
+class ToolkitCommand extends Command {
+  constructor(rawArgv) {
+    super(rawArgv);
+    this.usage = 'Usage: reco toolkit <command> [options]';
+    this.add('list', ListCommand);
+    this.add('install', InstallCommand);
+    this.add('upgrade', UpgradeCommand);
+    this.add('remove', RemoveCommand);
+    this.alias('ls', 'list');
+    this.alias('i', 'install');
+    this.alias('rm', 'remove');
+  }
+
+  get description() {
+    return 'Manage toolkits';
+  }
+}
+
+module.exports = ToolkitCommand;
+
+// root dir of the running bin package
+function binDir() {
+  let dir = path.dirname(require.main ? require.main.filename : process.argv[1]);
+  while (!fs.existsSync(path.join(dir, 'package.json')) && path.dirname(dir) !== dir) {
+    dir = path.dirname(dir);
+  }
+  return dir;
+}
@@ -0,0 +1,64 @@
+const assert = require('assert');
+
+/**
+ * supported shells
+ * @type {Array}
+ */
+exports.SHELLS = ['bash', 'zsh', 'fish'];
+
+/**
+ * generate completion script, which calls `<name> --get-yargs-completions <words...>` for candidates
+ * @param {String} shell - `bash` / `zsh` / `fish`
+ * @param {String} name - bin name
+ * @return {String} script
+ * @example `reco completion zsh >> ~/.zshrc`
+ */
+exports.script = (shell, name) => {
+  assert(exports.SHELLS.includes(shell), `shell \`${shell}\` is not supported, should be one of ${exports.SHELLS.join(' / ')}`);
+  const fn = `_${name.replace(/[^\w]/g, '_')}_completions`;
+
+  switch (shell) {
+    case 'zsh':
+      return `#compdef ${name}
+###-begin-${name}-completions-###
+${fn}()
+{
+  local reply
+  local si=$IFS
+  IFS=$'\\n' reply=($(${name} --get-yargs-completions "\${words[@]:0:$CURRENT}"))
+  IFS=$si
+  if [[ \${#reply} -gt 0 ]]; then
+    _describe 'values' reply
+  else
+    _files
+  fi
+}
+compdef ${fn} ${name}
+###-end-${name}-completions-###
+`;
+    case 'fish':
+      return `###-begin-${name}-completions-###
+function ${fn}
+    # quoted, so an empty current token is still passed as the word being completed
+    set -l current (commandline -ct)
+    ${name} --get-yargs-completions (commandline -opc) "$current"
+end
+complete -c ${name} -f -a '(${fn})'
+###-end-${name}-completions-###
+`;
+    case 'bash':
+    default:
+      return `###-begin-${name}-completions-###
+${fn}()
+{
+    local cur_word type_list
+    cur_word="\${COMP_WORDS[COMP_CWORD]}"
+    type_list=$(${name} --get-yargs-completions "\${COMP_WORDS[@]:0:$((COMP_CWORD + 1))}")
+    COMPREPLY=( $(compgen -W "\${type_list}" -- "\${cur_word}") )
+    return 0
+}
+complete -o default -F ${fn} ${name}
+###-end-${name}-completions-###
+`;
+  }
+};
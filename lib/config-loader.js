@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const debug = require('debug')('reco-bin');
+const webpackMerge = require('webpack-merge');
+const assert = require('assert');
+const schema = require('./config-schema');
+
+// <cwd, merged config of all sources>
+const rawCache = new Map();
+// <cwd:envName, resolved config>
+const resolvedCache = new Map();
+// <section, schema>
+const schemas = new Map();
+
+/**
+ * config sources, ordered from low priority to high priority
+ * @type {Array}
+ */
+const SOURCES = [
+  {
+    file: 'package.json',
+    read: file => JSON.parse(fs.readFileSync(file, 'utf8')).reco,
+  },
+  {
+    file: '.recorc',
+    read: file => JSON.parse(fs.readFileSync(file, 'utf8')),
+  },
+  {
+    file: '.recorc.json',
+    read: file => JSON.parse(fs.readFileSync(file, 'utf8')),
+  },
+  {
+    file: 'config/reco-config.js',
+    read: file => require(file),
+  },
+  {
+    file: 'config/reco-config.local.js',
+    read: file => require(file),
+  },
+];
+
+/**
+ * get env name, `RECO_ENV` first, then `NODE_ENV`, default to `production`
+ * @param {Object} env - environment variables, such as `context.env`
+ * @return {String} env name
+ */
+exports.getEnvName = env => env.RECO_ENV || env.NODE_ENV || 'production';
+
+/**
+ * read and merge all config sources without env layering, cached by cwd
+ * @param {String} cwd - project root
+ * @return {Object} merged config
+ */
+exports.loadRaw = (cwd) => {
+  if (!rawCache.has(cwd)) {
+    const configs = [];
+    for (const source of SOURCES) {
+      const file = path.join(cwd, source.file);
+      if (!fs.existsSync(file)) continue;
+      let config;
+      try {
+        config = source.read(file);
+      } catch (err) {
+        err.message = `load config from ${file} failed: ${err.message}`;
+        throw err;
+      }
+      if (config) {
+        debug('load config from `%s`', file);
+        configs.push(config);
+      }
+    }
+    const raw = webpackMerge({}, ...configs);
+    validate(raw);
+    rawCache.set(cwd, raw);
+  }
+  return rawCache.get(cwd);
+};
+
+/**
+ * load config of special env, `env.<envName>` of config is merged into the root and `env` is removed
+ * @param {Object} options - options
+ * @param {String} options.cwd - project root
+ * @param {String} options.env - env name, such as `development` / `production` / `test` / `staging`
+ * @return {Object} resolved config
+ * @example `load({ cwd: ctx.cwd, env: 'staging' })`
+ */
+exports.load = ({ cwd, env }) => {
+  const key = `${cwd}:${env}`;
+  if (!resolvedCache.has(key)) {
+    const raw = exports.loadRaw(cwd);
+    const envConfig = raw.env && raw.env[env];
+    const config = webpackMerge({}, raw, envConfig || {});
+    delete config.env;
+    resolvedCache.set(key, config);
+  }
+  return resolvedCache.get(key);
+};
+
+/**
+ * register schema of a config section, validated when config is loaded
+ * @param {String} section - top level key of config, such as `webpack`
+ * @param {Object} sectionSchema - schema, see `lib/config-schema.js`
+ */
+exports.registerSchema = (section, sectionSchema) => {
+  assert(section, 'config section is required');
+  assert(sectionSchema && typeof sectionSchema === 'object', 'config schema should be an object');
+  schemas.set(section, sectionSchema);
+  // validate again at next load
+  exports.clearCache();
+};
+
+/**
+ * clear cache, the config files would be read again at next `load`
+ * @param {String} [cwd] - only clear the special project
+ */
+exports.clearCache = (cwd) => {
+  if (!cwd) {
+    rawCache.clear();
+    resolvedCache.clear();
+    return;
+  }
+  rawCache.delete(cwd);
+  for (const key of resolvedCache.keys()) {
+    if (key.startsWith(`${cwd}:`)) resolvedCache.delete(key);
+  }
+};
+
+class ConfigValidationError extends Error {
+  constructor(problems) {
+    const lines = problems.map((problem) => {
+      const suggestion = problem.suggestions.length ? `, did you mean \`${problem.suggestions[0]}\`?` : '';
+      return `  - ${problem.path}: ${problem.message}${problem.message === 'unknown key' ? ` \`${problem.actual}\`` : ''}${suggestion}`;
+    });
+    super(`reco-config is invalid, ${problems.length} problem(s) found:\n${lines.join('\n')}`);
+    this.name = 'ConfigValidationError';
+    this.problems = problems;
+    // EX_CONFIG of sysexits.h
+    this.exitCode = 78;
+  }
+}
+
+exports.ConfigValidationError = ConfigValidationError;
+
+function validate(raw) {
+  const problems = [];
+  for (const [section, sectionSchema] of schemas) {
+    problems.push(...schema.validate(raw[section], sectionSchema, section));
+    // sections could be overridden by `env.<envName>` too
+    const envs = raw.env && typeof raw.env === 'object' ? raw.env : {};
+    for (const name of Object.keys(envs)) {
+      if (envs[name]) problems.push(...schema.validate(envs[name][section], sectionSchema, `env.${name}.${section}`));
+    }
+  }
+  if (problems.length) throw new ConfigValidationError(problems);
+}
+
+// built-in sections
+const envNames = ['development', 'production', 'test', 'staging'];
+exports.registerSchema('webpack', {
+  type: 'object',
+  properties: {
+    common: { type: 'object' },
+    env: {
+      type: 'object',
+      properties: envNames.reduce((properties, name) => {
+        properties[name] = { type: 'object' };
+        return properties;
+      }, {}),
+      additionalProperties: { type: 'object' },
+    },
+  },
+  additionalProperties: false,
+});
+
+exports.registerSchema('plugins', {
+  type: 'array',
+  items: { type: 'string' },
+});
+
+const sizes = { type: 'object', additionalProperties: { type: ['string', 'number'] } };
+exports.registerSchema('budgets', {
+  type: 'object',
+  properties: {
+    assets: sizes,
+    entrypoints: sizes,
+  },
+  additionalProperties: false,
+});
+
+exports.registerSchema('toolkits', {
+  type: 'object',
+  properties: {
+    scopes: { type: 'array', items: { type: 'string' } },
+    overrides: { type: 'object', additionalProperties: { type: 'string' } },
+  },
+  additionalProperties: false,
+});
@@ -0,0 +1,93 @@
+const is = require('is-type-of');
+const { suggest } = require('./suggest');
+
+/**
+ * validate value against a schema, all problems are collected
+ * @param {*} value - value to check
+ * @param {Object} schema - schema
+ * @param {String|Array} [schema.type] - `object` / `array` / `string` / `number` / `boolean` / `function` / `regexp`
+ * @param {Object} [schema.properties] - `{ key: schema }` for object
+ * @param {Boolean|Object} [schema.additionalProperties=true] - whether allow other keys, or the schema of them,
+ *   keys close to known properties are always reported as typos
+ * @param {Object} [schema.items] - schema of array items
+ * @param {Array} [schema.enum] - allowed values
+ * @param {String} [keyPath] - key path of value, such as `webpack.env`
+ * @return {Array} problems, `[{ path, message, expected, actual, suggestions }]`
+ * @example `validate(config.webpack, { type: 'object', properties: { common: { type: 'object' } } }, 'webpack')`
+ */
+exports.validate = (value, schema, keyPath = '') => {
+  const problems = [];
+  check(value, schema, keyPath, problems);
+  return problems;
+};
+
+/**
+ * type name of value, distinguish array / regexp / null from object
+ * @param {*} value - value
+ * @return {String} type name
+ */
+exports.typeOf = (value) => {
+  if (value === null) return 'null';
+  if (is.array(value)) return 'array';
+  if (is.regExp(value)) return 'regexp';
+  return typeof value;
+};
+
+function check(value, schema, keyPath, problems) {
+  if (value === undefined) return;
+
+  const actual = exports.typeOf(value);
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.includes(actual)) {
+      problems.push({
+        path: keyPath,
+        message: `expected ${types.join(' or ')}, got ${actual}`,
+        expected: types,
+        actual,
+        suggestions: [],
+      });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push({
+      path: keyPath,
+      message: `expected one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}`,
+      expected: schema.enum,
+      actual: value,
+      suggestions: typeof value === 'string' ? suggest(value, schema.enum.filter(is.string), 1) : [],
+    });
+    return;
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => check(item, schema.items, `${keyPath}[${index}]`, problems));
+  }
+
+  if (actual === 'object' && (schema.properties || schema.additionalProperties !== undefined)) {
+    const properties = schema.properties || {};
+    const known = Object.keys(properties);
+    for (const key of Object.keys(value)) {
+      const childPath = keyPath ? `${keyPath}.${key}` : key;
+      if (properties.hasOwnProperty(key)) {
+        check(value[key], properties[key], childPath, problems);
+        continue;
+      }
+
+      const suggestions = suggest(key, known, 1);
+      if (schema.additionalProperties === false || suggestions.length) {
+        problems.push({
+          path: childPath,
+          message: 'unknown key',
+          expected: known,
+          actual: key,
+          suggestions,
+        });
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(value[key], schema.additionalProperties, childPath, problems);
+      }
+    }
+  }
+}
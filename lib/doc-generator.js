@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const mkdirp = require('mz-modules/mkdirp');
+
+/**
+ * write reference docs of a command tree, one page per command
+ * @param {Object} tree - see `CommonBin#getCommandTree`
+ * @param {Object} options - options
+ * @param {String} options.outDir - output directory
+ * @param {Array} [options.formats] - `markdown` and / or `man`, default to both
+ * @param {String} [options.version] - version printed at man page
+ * @return {Array} written files
+ */
+exports.write = (tree, options) => {
+  const formats = options.formats || ['markdown', 'man'];
+  const files = [];
+  mkdirp.sync(options.outDir);
+
+  const walk = (node) => {
+    if (formats.includes('markdown')) {
+      const file = path.join(options.outDir, `${fileName(node)}.md`);
+      fs.writeFileSync(file, exports.markdown(node));
+      files.push(file);
+    }
+    if (formats.includes('man')) {
+      const file = path.join(options.outDir, `${fileName(node)}.1`);
+      fs.writeFileSync(file, exports.man(node, options.version));
+      files.push(file);
+    }
+    node.commands.forEach(walk);
+  };
+  walk(tree);
+  return files;
+};
+
+/**
+ * render markdown page of a command
+ * @param {Object} node - command tree node
+ * @return {String} markdown
+ */
+exports.markdown = (node) => {
+  const lines = [`# ${node.name}`, ''];
+  if (node.description) lines.push(node.description, '');
+  if (node.aliases.length) lines.push(`Aliases: ${node.aliases.map(alias => `\`${alias}\``).join(', ')}`, '');
+
+  lines.push('## Usage', '', '```', synopsis(node), '```', '');
+
+  const groups = groupOptions(node.options.filter(option => !option.hidden));
+  if (node.globalOptions) groups.push(['Global Options', node.globalOptions]);
+  if (groups.length) {
+    lines.push('## Options', '');
+    for (const [group, options] of groups) {
+      lines.push(`### ${group}`, '', '| Option | Type | Default | Description |', '| --- | --- | --- | --- |');
+      for (const option of options) {
+        const flags = flagsOf(option).map(flag => `\`${flag}\``).join(', ');
+        const defaultValue = option.default === undefined ? '' : `\`${JSON.stringify(option.default)}\``;
+        lines.push(`| ${flags} | ${option.type || ''} | ${defaultValue} | ${escapeCell(describe(option))} |`);
+      }
+      lines.push('');
+    }
+  }
+
+  if (node.examples.length) {
+    lines.push('## Examples', '');
+    for (const [cmd, desc] of node.examples) {
+      if (desc) lines.push(desc, '');
+      lines.push('```', cmd, '```', '');
+    }
+  }
+
+  if (node.commands.length) {
+    lines.push('## Commands', '');
+    for (const sub of node.commands) {
+      const aliases = sub.aliases.length ? ` (aliases: ${sub.aliases.join(', ')})` : '';
+      lines.push(`- [${sub.name}](${fileName(sub)}.md)${sub.description ? ` - ${sub.description}` : ''}${aliases}`);
+    }
+    lines.push('');
+  }
+
+  if (node.epilog) lines.push(node.epilog, '');
+  return lines.join('\n');
+};
+
+/**
+ * render man page (roff) of a command
+ * @param {Object} node - command tree node
+ * @param {String} [version] - version of bin
+ * @return {String} roff
+ */
+exports.man = (node, version) => {
+  const title = fileName(node).toUpperCase();
+  const lines = [
+    `.TH "${title}" "1" "" "${escapeRoff(version || '')}" ""`,
+    '.SH NAME',
+    `${escapeRoff(fileName(node))}${node.description ? ` \\- ${escapeRoff(node.description)}` : ''}`,
+    '.SH SYNOPSIS',
+    escapeRoff(synopsis(node)),
+  ];
+
+  if (node.aliases.length) {
+    lines.push('.SH ALIASES', escapeRoff(node.aliases.join(', ')));
+  }
+
+  const groups = groupOptions(node.options.filter(option => !option.hidden));
+  if (node.globalOptions) groups.push(['Global Options', node.globalOptions]);
+  if (groups.length) {
+    lines.push('.SH OPTIONS');
+    for (const [group, options] of groups) {
+      lines.push(`.SS ${escapeRoff(group)}`);
+      for (const option of options) {
+        const flags = flagsOf(option).map(flag => `\\fB${escapeRoff(flag)}\\fR`).join(', ');
+        lines.push('.TP', `${flags}${option.type ? ` \\fI${option.type}\\fR` : ''}`, escapeRoff(describe(option)));
+      }
+    }
+  }
+
+  if (node.examples.length) {
+    lines.push('.SH EXAMPLES');
+    for (const [cmd, desc] of node.examples) {
+      lines.push('.TP', `\\fB${escapeRoff(cmd)}\\fR`, escapeRoff(desc || ''));
+    }
+  }
+
+  if (node.commands.length) {
+    lines.push('.SH COMMANDS');
+    for (const sub of node.commands) {
+      lines.push('.TP', `\\fB${escapeRoff(sub.name)}\\fR`, escapeRoff(sub.description || ''));
+    }
+    lines.push('.SH SEE ALSO', node.commands.map(sub => `\\fB${escapeRoff(fileName(sub))}\\fR(1)`).join(', '));
+  }
+
+  if (node.epilog) lines.push('.SH NOTES', escapeRoff(node.epilog));
+  return `${lines.join('\n')}\n`;
+};
+
+function fileName(node) {
+  return node.name.split(' ').join('-');
+}
+
+function synopsis(node) {
+  return node.usage ? node.usage.replace(/^usage:\s*/i, '') : `${node.name} [options]`;
+}
+
+function flagsOf(option) {
+  return [option.name].concat(option.alias).map(flag => (flag.length > 1 ? `--${flag}` : `-${flag}`));
+}
+
+function describe(option) {
+  const notes = [];
+  if (option.choices) notes.push(`choices: ${option.choices.join(', ')}`);
+  if (option.demandOption || option.required) notes.push('required');
+  if (option.deprecated) notes.push(typeof option.deprecated === 'string' ? `deprecated: ${option.deprecated}` : 'deprecated');
+  return [option.description].concat(notes.map(note => `[${note}]`)).filter(Boolean).join(' ');
+}
+
+function groupOptions(options) {
+  const groups = new Map();
+  for (const option of options) {
+    const group = (option.group || 'Options').replace(/:$/, '');
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(option);
+  }
+  return Array.from(groups);
+}
+
+function escapeCell(text) {
+  return text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function escapeRoff(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/-/g, '\\-').replace(/^\./gm, '\\&.');
+}
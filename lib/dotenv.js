@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const debug = require('debug')('reco-bin');
+
+/**
+ * parse content of .env file
+ * @param {String} content - such as `KEY=value`, `export KEY="multi\nline"`, comments start with `#`
+ * @return {Object} key-value pairs, not expanded
+ */
+exports.parse = (content) => {
+  const result = {};
+  const pattern = /^[ \t]*(?:export[ \t]+)?([\w.-]+)[ \t]*=[ \t]*("(?:\\.|[^"\\])*"|'[^']*'|[^\n]*?)[ \t]*(?:[ \t]#[^\n]*)?$/gm;
+  const source = content.replace(/\r\n?/g, '\n');
+  for (let match = pattern.exec(source); match; match = pattern.exec(source)) {
+    const [, key, raw] = match;
+    let value = raw;
+    if (value.startsWith('"')) {
+      value = value.slice(1, -1).replace(/\\n/g, '\n').replace(/\\r/g, '\r').replace(/\\t/g, '\t')
+        .replace(/\\"/g, '"');
+    } else if (value.startsWith('\'')) {
+      value = value.slice(1, -1);
+    }
+    result[key] = value;
+  }
+  return result;
+};
+
+/**
+ * expand `$VAR`, `${VAR}` and `${VAR:-default}`, variables are looked up from env first, then the parsed ones,
+ * `\$` is kept as `$`
+ * @param {Object} parsed - result of `parse`
+ * @param {Object} env - environment variables
+ * @return {Object} expanded key-value pairs
+ */
+exports.expand = (parsed, env) => {
+  const result = {};
+  const resolving = new Set();
+
+  const resolve = (key) => {
+    if (result[key] !== undefined) return result[key];
+    const value = parsed[key];
+    // circular reference is expanded to empty
+    if (resolving.has(key)) return '';
+    resolving.add(key);
+    result[key] = value.replace(/(\\)?\$(?:\{([\w.-]+)(?::-([^}]*))?\}|([A-Za-z_]\w*))/g,
+      (all, escaped, braced, fallback, bare) => {
+        if (escaped) return all.slice(1);
+        const name = braced || bare;
+        let ref = env[name];
+        if (ref === undefined && parsed[name] !== undefined) ref = resolve(name);
+        return ref === undefined || ref === '' ? fallback || '' : ref;
+      });
+    resolving.delete(key);
+    return result[key];
+  };
+
+  Object.keys(parsed).forEach(resolve);
+  return result;
+};
+
+/**
+ * load .env files of cwd, precedence from high to low:
+ * real env > `envFile` > `.env.<NODE_ENV>.local` > `.env.local` > `.env.<NODE_ENV>` > `.env`,
+ * `.env.<NODE_ENV>*` are skipped when `NODE_ENV` is not set
+ * @param {Object} options - options
+ * @param {String} options.cwd - project root
+ * @param {Object} options.env - real environment variables, never overridden
+ * @param {String|Array} [options.envFile] - extra files relative to cwd, such as `--env-file`, later ones win
+ * @return {Object} `{ env, files }`, env is a new object merged with real env, files are the loaded ones
+ */
+exports.load = ({ cwd, env, envFile }) => {
+  const nodeEnv = env.NODE_ENV;
+  const files = ['.env', nodeEnv && `.env.${nodeEnv}`, '.env.local', nodeEnv && `.env.${nodeEnv}.local`]
+    .filter(Boolean)
+    .map(file => path.join(cwd, file))
+    .filter(file => fs.existsSync(file));
+
+  for (const file of [].concat(envFile || []).map(item => path.resolve(cwd, item))) {
+    if (!fs.existsSync(file)) throw new Error(`env file ${file} not found`);
+    files.push(file);
+  }
+
+  let parsed = {};
+  for (const file of files) {
+    debug('load env from `%s`', file);
+    parsed = Object.assign(parsed, exports.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  const expanded = exports.expand(parsed, env);
+  const result = Object.assign({}, env);
+  for (const key of Object.keys(expanded)) {
+    if (env[key] === undefined) result[key] = expanded[key];
+  }
+  return { env: result, files };
+};
@@ -0,0 +1,211 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const debug = require('debug')('reco-bin');
+const helper = require('./helper');
+
+const CHILD = Symbol('ForkWatcher$child');
+const WATCHERS = Symbol('ForkWatcher$watchers');
+const TIMER = Symbol('ForkWatcher$timer');
+const CHANGED = Symbol('ForkWatcher$changed');
+const RESTARTING = Symbol('ForkWatcher$restarting');
+const FORK = Symbol('ForkWatcher$fork');
+const STOP = Symbol('ForkWatcher$stop');
+const WATCH_DIR = Symbol('ForkWatcher$watchDir');
+const ON_CHANGE = Symbol('ForkWatcher$onChange');
+
+// `fs.watch` with `recursive` is supported by linux since node 19.1, it throws or only watches the top level before
+const RECURSIVE_WATCH = process.platform === 'darwin' || process.platform === 'win32' ||
+  semver.gte(process.version, '19.1.0');
+
+// default ports of debug flags without port
+const DEFAULT_PORTS = { inspect: 9229, 'inspect-brk': 9229, debug: 5858, 'debug-brk': 5858 };
+
+/**
+ * fork a node module and restart it when watched files change,
+ * events: `start` (child process), `restart` (changed files), `exit` (code, signal), `close`
+ */
+class ForkWatcher extends EventEmitter {
+  /**
+   * @param {String} modulePath - bin path
+   * @param {Array} [args] - arguments
+   * @param {Object} options - options, others are passed to `helper.forkNode`
+   * @param {Array} options.watch - globs relative to cwd, such as `[ 'app/**', 'config/*.js' ]`
+   * @param {Array} [options.ignore] - globs to ignore, `node_modules` and `.git` are always ignored
+   * @param {String} [options.cwd] - watch root, default to process.cwd()
+   * @param {Number} [options.delay] - debounce ms, default to 300
+   * @param {Number} [options.killTimeout] - ms to wait for the old child before SIGKILL, default to 5000
+   * @param {Array} [options.execArgv] - such as `context.execArgv`
+   * @param {Object} [options.debugOptions] - such as `context.debugOptions`, debug flags without port are pinned to
+   *   the default port, so debugger could reconnect to the same port after restart
+   */
+  constructor(modulePath, args = [], options = {}) {
+    super();
+    const { watch, ignore = [], delay = 300, killTimeout = 5000, debugOptions = {} } = options;
+    if (!watch || !watch.length) throw new Error('options.watch is required');
+
+    this.modulePath = modulePath;
+    this.args = args;
+    this.cwd = options.cwd || process.cwd();
+    this.delay = delay;
+    this.killTimeout = killTimeout;
+    this.matchers = [].concat(watch).map(globToRegExp);
+    this.ignores = ['**/node_modules/**', '**/.git/**'].concat(ignore).map(globToRegExp);
+
+    const execArgv = (options.execArgv || []).slice();
+    for (const key of Object.keys(debugOptions)) {
+      const index = execArgv.indexOf(`--${key}`);
+      if (debugOptions[key] === true && DEFAULT_PORTS[key] && index !== -1) {
+        execArgv[index] = `--${key}=${DEFAULT_PORTS[key]}`;
+      }
+    }
+    this.forkOptions = Object.assign({}, options, { execArgv, cwd: this.cwd });
+    ['watch', 'ignore', 'delay', 'killTimeout', 'debugOptions'].forEach(key => delete this.forkOptions[key]);
+
+    this[CHANGED] = new Set();
+    this[RESTARTING] = null;
+  }
+
+  /**
+   * fork the child and start watching
+   * @return {ForkWatcher} this
+   */
+  start() {
+    this[WATCHERS] = new Map();
+    if (RECURSIVE_WATCH) {
+      this[WATCHERS].set(this.cwd, fs.watch(this.cwd, { recursive: true }, (event, filename) => {
+        if (filename) this[ON_CHANGE](event, filename.split(path.sep).join('/'));
+      }));
+    } else {
+      this[WATCH_DIR]('');
+    }
+    this[FORK]();
+    return this;
+  }
+
+  /**
+   * stop the current child gracefully and fork a new one
+   * @return {Promise} resolve after the new one forked
+   */
+  restart() {
+    if (this[RESTARTING]) return this[RESTARTING];
+    const files = Array.from(this[CHANGED]);
+    this[CHANGED].clear();
+    this.emit('restart', files);
+
+    this[RESTARTING] = this[STOP]().then(() => {
+      this[RESTARTING] = null;
+      if (this[WATCHERS]) this[FORK]();
+    });
+    return this[RESTARTING];
+  }
+
+  /**
+   * stop watching and the child
+   * @return {Promise} resolve after the child exit
+   */
+  close() {
+    clearTimeout(this[TIMER]);
+    if (this[WATCHERS]) {
+      this[WATCHERS].forEach(watcher => watcher.close());
+      this[WATCHERS] = null;
+    }
+    return this[STOP]().then(() => this.emit('close'));
+  }
+
+  [ON_CHANGE](event, file) {
+    if (this.ignores.some(regexp => regexp.test(file)) || !this.matchers.some(regexp => regexp.test(file))) return;
+    debug('[fork-watcher] %s %s', event, file);
+    this[CHANGED].add(file);
+    clearTimeout(this[TIMER]);
+    this[TIMER] = setTimeout(() => this.restart(), this.delay);
+  }
+
+  /**
+   * watch each dir when recursive watching is not supported, new dirs are watched when created
+   * @param {String} dir - relative to cwd, `/` separated
+   * @private
+   */
+  [WATCH_DIR](dir) {
+    const watchers = this[WATCHERS];
+    const fullPath = path.join(this.cwd, dir);
+    if (!watchers || watchers.has(fullPath)) return;
+    // `**/node_modules/**` matches `node_modules/`
+    if (dir && this.ignores.some(regexp => regexp.test(`${dir}/`))) return;
+
+    let watcher;
+    let entries;
+    try {
+      watcher = fs.watch(fullPath, (event, filename) => {
+        if (!filename) return;
+        const file = dir ? `${dir}/${filename}` : filename;
+        if (event === 'rename' && isDirectory(path.join(this.cwd, file))) this[WATCH_DIR](file);
+        this[ON_CHANGE](event, file);
+      });
+      entries = fs.readdirSync(fullPath, { withFileTypes: true });
+    } catch (err) {
+      // removed before watching
+      if (watcher) watcher.close();
+      debug('[fork-watcher] watch %s failed: %s', fullPath, err.message);
+      return;
+    }
+    watcher.on('error', () => {
+      watcher.close();
+      watchers.delete(fullPath);
+    });
+    watchers.set(fullPath, watcher);
+    entries
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => this[WATCH_DIR](dir ? `${dir}/${entry.name}` : entry.name));
+  }
+
+  [FORK]() {
+    const promise = helper.forkNode(this.modulePath, this.args, Object.assign({}, this.forkOptions));
+    const child = promise.proc;
+    this[CHILD] = child;
+    child.once('exit', (code, signal) => {
+      if (this[CHILD] === child) this[CHILD] = null;
+      this.emit('exit', code, signal);
+    });
+    // crash is reported by `exit`, wait for changes to restart
+    promise.catch(err => debug('[fork-watcher] %s', err.message));
+    // listeners added after `helper.forkNodeWatch()` returns could receive the first one
+    process.nextTick(() => this.emit('start', child));
+  }
+
+  [STOP]() {
+    const child = this[CHILD];
+    if (!child) return Promise.resolve();
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => helper.killTree(child.pid, 'SIGKILL'), this.killTimeout);
+      child.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      helper.killTree(child.pid, 'SIGTERM');
+    });
+  }
+}
+
+module.exports = ForkWatcher;
+
+function isDirectory(file) {
+  try {
+    return fs.statSync(file).isDirectory();
+  } catch (err) {
+    return false;
+  }
+}
+
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/^\.\//, '')
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\//g, '\0')
+    .replace(/\*\*/g, '.*')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\0/g, '(?:.*/)?');
+  return new RegExp(`^${source}$`);
+}
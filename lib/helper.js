@@ -1,44 +1,253 @@
 const path = require('path');
 const assert = require('assert');
 const fs = require('fs');
-const urllib = require('urllib');
 const debug = require('debug')('reco-bin');
 const cp = require('child_process');
 const is = require('is-type-of');
 const unparse = require('dargs');
 const homedir = require('node-homedir');
 const util = require('util');
+const os = require('os');
+const url = require('url');
+const inspector = require('inspector');
+const co = require('co');
+const readline = require('readline');
+const colors = require('colors/safe');
 const webpackMerge = require('webpack-merge');
 const spawn = require('cross-spawn');
 const mkdirp = require('mz-modules/mkdirp');
+const createBuildReport = require('./build-report');
+const sizeBudget = require('./size-budget');
+const configLoader = require('./config-loader');
+const ForkWatcher = require('./fork-watcher');
+const registry = require('./registry');
+const toolkits = require('./toolkit');
 
-// only hook once and only when ever start any child.
+/**
+ * prompts: confirm / input / select / multiselect / password, see `lib/prompt.js`,
+ * the one of command helper is prefilled by its argv
+ * @member helper#prompt
+ */
+exports.prompt = require('./prompt');
+
+// only hook once and only when ever start any child or add any cleanup.
 const childs = new Set();
+const cleanups = new Set();
+const shutdownOptions = { timeout: Number(process.env.RECO_KILL_TIMEOUT) || 5000 };
 let hadHook = false;
+let shuttingDown = false;
+
 function gracefull(proc) {
   // save child ref
   childs.add(proc);
+  hookSignals();
+}
 
+function hookSignals() {
   // only hook once
   /* istanbul ignore else */
-  if (!hadHook) {
-    hadHook = true;
-    let signal;
-    ['SIGINT', 'SIGQUIT', 'SIGTERM'].forEach((event) => {
-      process.once(event, () => {
-        signal = event;
-        process.exit(0);
-      });
+  if (hadHook) return;
+  hadHook = true;
+
+  ['SIGINT', 'SIGQUIT', 'SIGTERM', 'SIGHUP'].forEach((signal) => {
+    process.on(signal, () => {
+      if (shuttingDown) {
+        // press ctrl-c again to force exit
+        debug('receive %s again, force exit', signal);
+        for (const child of childs) exports.killTree(child.pid, 'SIGKILL');
+        process.exit(exitCodeOf(signal));
+      }
+      shuttingDown = true;
+      shutdown(signal).then(() => process.exit(exitCodeOf(signal)));
     });
+  });
+
+  process.once('exit', () => {
+    // had test at my-helper.test.js, but coffee can't collect coverage info.
+    for (const child of childs) {
+      debug('kill child %s at exit', child.pid);
+      exports.killTree(child.pid, 'SIGTERM');
+    }
+  });
+}
 
-    process.once('exit', () => {
-      // had test at my-helper.test.js, but coffee can't collect coverage info.
+/**
+ * run cleanup handlers and stop children, escalate to SIGKILL after timeout
+ * @param {String} signal - received signal
+ * @return {Promise} resolve when done, never reject
+ */
+function shutdown(signal) {
+  debug('receive %s, stop %d children and run %d cleanup handlers', signal, childs.size, cleanups.size);
+  // descendants which may outlive their parent, such as background jobs ignore SIGINT
+  const pids = [];
+  const exits = Array.from(childs).map(child => new Promise((resolve) => {
+    if (child.exitCode !== null || child.signalCode !== null) return resolve();
+    child.once('exit', resolve);
+    return pids.push(...exports.killTree(child.pid, signal));
+  }));
+  const handlers = Array.from(cleanups).map(fn => co(exports.callFn, fn, [signal]).catch((err) => {
+    console.error('[reco] cleanup failed: %s', err.stack || err);
+  }));
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => {
       for (const child of childs) {
-        debug('kill child %s with %s', child.pid, signal);
-        child.kill(signal);
+        debug('child %s is still alive after %dms, kill with SIGKILL', child.pid, shutdownOptions.timeout);
+        exports.killTree(child.pid, 'SIGKILL');
       }
-    });
+      resolve();
+    }, shutdownOptions.timeout);
+  });
+  return Promise.race([Promise.all(exits.concat(handlers)), timeout]).then(() => {
+    clearTimeout(timer);
+    for (const pid of pids) {
+      try {
+        process.kill(pid, 'SIGKILL');
+      } catch (err) {
+        // already exited
+      }
+    }
+  });
+}
+
+function exitCodeOf(signal) {
+  // 128 + signal number, such as 130 for SIGINT
+  return 128 + (os.constants.signals[signal] || 0);
+}
+
+/**
+ * register an async cleanup handler, which is called with signal name when SIGINT / SIGTERM etc. received
+ * @method helper#addCleanup
+ * @param {Function} fn - support generator / async / normal function return promise
+ * @return {Function} remove the handler
+ * @example `helper.addCleanup(() => server.close())`
+ */
+exports.addCleanup = (fn) => {
+  assert(is.function(fn), 'cleanup handler should be a function');
+  cleanups.add(fn);
+  hookSignals();
+  return () => cleanups.delete(fn);
+};
+
+/**
+ * configure the shutdown when receive signal
+ * @method helper#configureShutdown
+ * @param {Object} options - options
+ * @param {Number} [options.timeout] - ms to wait for children and cleanup handlers before SIGKILL, default to 5000
+ *   or env `RECO_KILL_TIMEOUT`
+ */
+exports.configureShutdown = (options) => {
+  Object.assign(shutdownOptions, options);
+};
+
+/**
+ * send signal to a process and all its descendants, such as webpack workers
+ * @method helper#killTree
+ * @param {Number} pid - root process id
+ * @param {String} [signal] - default to SIGTERM
+ * @return {Array} pids of the tree
+ */
+exports.killTree = (pid, signal = 'SIGTERM') => {
+  if (!pid) return [];
+  if (process.platform === 'win32') {
+    // taskkill could only force kill the tree
+    cp.spawnSync('taskkill', ['/pid', String(pid), '/T', '/F'], { stdio: 'ignore' });
+    return [pid];
   }
+
+  let pids = [pid];
+  try {
+    const tree = new Map();
+    const output = cp.execFileSync('ps', ['-A', '-o', 'pid=,ppid='], { encoding: 'utf8' });
+    for (const line of output.trim().split('\n')) {
+      const [child, parent] = line.trim().split(/\s+/).map(Number);
+      if (!tree.has(parent)) tree.set(parent, []);
+      tree.get(parent).push(child);
+    }
+    for (let i = 0; i < pids.length; i++) pids = pids.concat(tree.get(pids[i]) || []);
+  } catch (err) {
+    debug('list process tree of %s failed: %s', pid, err.message);
+  }
+
+  // kill descendants first, otherwise they would be re-parented and lost
+  for (const target of pids.slice().reverse()) {
+    try {
+      process.kill(target, signal);
+    } catch (err) {
+      // already exited
+    }
+  }
+  return pids;
+};
+
+// debugger ports of alive children
+const debugPorts = new Set();
+
+// print the first port could be listened from `start`, skip the `used` ones, run by `spawnSync` since fork is sync
+const FIND_PORT_SCRIPT = `
+const net = require('net');
+const [host, start, ...used] = process.argv.slice(1);
+(function listen(port) {
+  if (port > 65535) return;
+  if (used.includes(String(port))) return listen(port + 1);
+  const server = net.createServer();
+  server.once('error', () => listen(port + 1));
+  server.listen(port, host, () => server.close(() => process.stdout.write(String(port))));
+})(Number(start));
+`;
+
+/**
+ * find the first free port from `start`
+ * @param {String} host - host to listen
+ * @param {Number} start - port to start with
+ * @param {Set} used - ports are taken but may be not listened yet, such as children which are starting
+ * @return {Number} port, the first not used one if fail to check
+ */
+function findFreePort(host, start, used) {
+  const result = cp.spawnSync(process.execPath, ['-e', FIND_PORT_SCRIPT, host, start].concat(Array.from(used)), {
+    encoding: 'utf8',
+    timeout: 5000,
+  });
+  const port = Number(result.stdout);
+  if (port) return port;
+  debug('find free port failed: %s', result.error ? result.error.message : result.stderr);
+  let fallback = start;
+  while (used.has(fallback)) fallback++;
+  return fallback;
+}
+
+/**
+ * give each forked child its own debugger port, the requested one first, then the next free one,
+ * ports of alive children and the ones listened by other processes are skipped,
+ * `--inspect=0` is left to node to pick a random one
+ * @param {Object} options - fork options, `execArgv` is rewritten
+ * @return {Number} assigned port
+ */
+function assignDebugPort(options) {
+  const execArgv = (options.execArgv || process.execArgv).slice();
+  const index = execArgv.findIndex(arg => /^--(inspect|inspect-brk|debug|debug-brk)(=|$)/.test(arg));
+  if (index === -1) return undefined;
+
+  // `--inspect`, `--inspect=9230`, `--inspect=0.0.0.0:9230` or with `--inspect-port=9230`
+  const [flag, value = ''] = execArgv[index].split('=');
+  const portIndex = execArgv.findIndex(arg => /^--(inspect|debug)-port=/.test(arg));
+  const hostPort = portIndex === -1 ? value : execArgv[portIndex].split('=')[1];
+  const requested = hostPort.split(':').pop();
+  const host = /^\d*$/.test(requested) ? hostPort.slice(0, hostPort.length - requested.length) : `${hostPort}:`;
+  if (requested === '0') return undefined;
+  let port = Number(requested) || (flag.startsWith('--debug') ? 5858 : 9229);
+
+  // the port of current process is in use too, which may be enabled by `NODE_OPTIONS`
+  const used = new Set(debugPorts);
+  const inspectorUrl = inspector.url();
+  if (inspectorUrl) used.add(Number(url.parse(inspectorUrl).port));
+  port = findFreePort(host.replace(/:$/, '') || '127.0.0.1', port, used);
+
+  execArgv[index] = `${flag}=${host}${port}`;
+  if (portIndex !== -1) execArgv.splice(portIndex, 1);
+  options.execArgv = execArgv;
+  return port;
 }
 
 /**
@@ -47,18 +256,25 @@ function gracefull(proc) {
  * @param {String} modulePath - bin path
  * @param {Array} [args] - arguments
  * @param {Object} [options] - options
- * @return {Promise} err or undefined
+ * @return {Promise} err or undefined, the child process is at `promise.proc`
  * @see https://nodejs.org/api/child_process.html#child_process_child_process_fork_modulepath_args_options
  */
 exports.forkNode = (modulePath, args = [], options = {}) => {
   options.stdio = options.stdio || 'inherit';
+  const port = assignDebugPort(options);
   debug('Run fork `%s %s %s`', process.execPath, modulePath, args.join(' '));
   const proc = cp.fork(modulePath, args, options);
   gracefull(proc);
+  if (port) {
+    debugPorts.add(port);
+    proc.once('exit', () => debugPorts.delete(port));
+  }
 
-  return new Promise((resolve, reject) => {
+  const promise = new Promise((resolve, reject) => {
     proc.once('exit', (code) => {
       childs.delete(proc);
+      // exit code is decided by the signal handler
+      if (shuttingDown) return;
       if (code !== 0) {
         const err = new Error(`${modulePath} ${args} exit with code ${code}`);
         err.code = code;
@@ -68,18 +284,47 @@ exports.forkNode = (modulePath, args = [], options = {}) => {
       }
     });
   });
+  promise.proc = proc;
+  return promise;
 };
 
+/**
+ * fork child process and restart it when files change, see `lib/fork-watcher.js`
+ * @method helper#forkNodeWatch
+ * @param {String} modulePath - bin path
+ * @param {Array} [args] - arguments
+ * @param {Object} options - `watch` globs, `ignore`, `delay`, `killTimeout`, `execArgv`, `debugOptions` and fork options
+ * @return {ForkWatcher} started watcher, call `close()` to stop
+ * @example
+ * helper.forkNodeWatch(serverBin, [], {
+ *   watch: ['server/**', 'config/*.js'],
+ *   execArgv: ctx.execArgv,
+ *   debugOptions: ctx.debugOptions,
+ * });
+ */
+exports.forkNodeWatch = (modulePath, args, options) => new ForkWatcher(modulePath, args, options).start();
+
 /**
  * spawn a new process, wrap with promise and gracefull exit
- * @method helper#forkNode
+ * @method helper#spawn
  * @param {String} cmd - command
  * @param {Array} [args] - arguments
  * @param {Object} [options] - options
- * @return {Promise} err or undefined
+ * @param {Boolean} [options.capture] - capture output instead of inherit stdio, see below
+ * @param {Number} [options.timeout] - capture mode, kill the process after ms
+ * @param {Number} [options.killTimeout] - capture mode, SIGKILL the process if still alive after ms of SIGTERM,
+ *   default to `RECO_KILL_TIMEOUT` or 5000
+ * @param {Object} [options.signal] - capture mode, AbortSignal to cancel the process
+ * @param {Function} [options.onStdout] - capture mode, called with each line of stdout
+ * @param {Function} [options.onStderr] - capture mode, called with each line of stderr
+ * @param {Number} [options.maxBuffer] - capture mode, max bytes of stdout or stderr, default to 10MB
+ * @return {Promise} child process, or `{ stdout, stderr, code, signal, duration }` at capture mode,
+ *   the error of capture mode has these fields too and the tail of stderr in message
  * @see https://nodejs.org/api/child_process.html#child_process_child_process_spawn_command_args_options
+ * @example `const { stdout } = yield helper.spawn('git', ['rev-parse', 'HEAD'], { capture: true, timeout: 5000 })`
  */
 exports.spawn = (cmd, args = [], options = {}) => {
+  if (options.capture) return spawnCapture(cmd, args, options);
   options.stdio = options.stdio || 'inherit';
   debug('Run spawn `%s %s`', cmd, args.join(' '));
 
@@ -92,6 +337,8 @@ exports.spawn = (cmd, args = [], options = {}) => {
     });
     proc.once('exit', (code) => {
       childs.delete(proc);
+      // exit code is decided by the signal handler
+      if (shuttingDown) return undefined;
 
       if (code !== 0) {
         return reject(new Error(`spawn ${cmd} ${args.join(' ')} fail, exit code: ${code}`));
@@ -101,6 +348,226 @@ exports.spawn = (cmd, args = [], options = {}) => {
   });
 };
 
+function spawnCapture(cmd, args, options) {
+  const { timeout, signal, onStdout, onStderr, maxBuffer = 10 * 1024 * 1024 } = options;
+  const killTimeout = options.killTimeout || shutdownOptions.timeout;
+  const spawnOptions = Object.assign({}, options, { stdio: ['ignore', 'pipe', 'pipe'] });
+  ['capture', 'timeout', 'killTimeout', 'signal', 'onStdout', 'onStderr', 'maxBuffer']
+    .forEach(key => delete spawnOptions[key]);
+  const command = `${cmd} ${args.join(' ')}`.trim();
+  debug('Run spawn `%s` with capture', command);
+
+  return new Promise((resolve, reject) => {
+    const startTime = Date.now();
+    const output = { stdout: [], stderr: [] };
+    const size = { stdout: 0, stderr: 0 };
+    let failure;
+    let timer;
+    let killTimer;
+
+    if (signal && signal.aborted) {
+      const err = new Error(`spawn ${command} aborted`);
+      err.name = 'AbortError';
+      return reject(err);
+    }
+
+    const proc = spawn(cmd, args, spawnOptions);
+    gracefull(proc);
+
+    const stop = (err) => {
+      if (failure) return;
+      failure = err;
+      exports.killTree(proc.pid, 'SIGTERM');
+      // the ones ignore SIGTERM are killed after a grace period
+      killTimer = setTimeout(() => exports.killTree(proc.pid, 'SIGKILL'), killTimeout);
+    };
+    const onAbort = () => {
+      const err = new Error(`spawn ${command} aborted`);
+      err.name = 'AbortError';
+      stop(err);
+    };
+
+    const collect = (name, onLine) => {
+      let rest = '';
+      proc[name].on('data', (chunk) => {
+        size[name] += chunk.length;
+        if (size[name] > maxBuffer) {
+          const err = new Error(`spawn ${command} ${name} exceeds maxBuffer ${maxBuffer}`);
+          err.name = 'MaxBufferError';
+          return stop(err);
+        }
+        output[name].push(chunk);
+        if (!onLine) return undefined;
+        const lines = (rest + chunk).split(/\r?\n/);
+        rest = lines.pop();
+        return lines.forEach(line => onLine(line));
+      });
+      proc[name].on('end', () => {
+        if (onLine && rest) onLine(rest);
+      });
+    };
+    collect('stdout', onStdout);
+    collect('stderr', onStderr);
+
+    if (timeout) {
+      timer = setTimeout(() => {
+        const err = new Error(`spawn ${command} timeout after ${timeout}ms`);
+        err.name = 'TimeoutError';
+        stop(err);
+      }, timeout);
+    }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    const done = (err, code, exitSignal) => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      childs.delete(proc);
+      const result = {
+        stdout: Buffer.concat(output.stdout).toString(),
+        stderr: Buffer.concat(output.stderr).toString(),
+        code,
+        signal: exitSignal,
+        duration: Date.now() - startTime,
+      };
+      // exit code is decided by the signal handler
+      if (shuttingDown) return undefined;
+
+      err = err || failure;
+      if (!err && code === 0) return resolve(result);
+      if (!err) err = new Error(`spawn ${command} fail, ${exitSignal ? `killed by ${exitSignal}` : `exit code: ${code}`}`);
+      const tail = result.stderr.trim().split('\n').slice(-10).join('\n');
+      if (tail) err.message += `\n${tail}`;
+      // keep system error code such as `ENOENT`
+      if (err.syscall) delete result.code;
+      return reject(Object.assign(err, result));
+    };
+
+    let finished = false;
+    proc.once('error', (err) => {
+      if (finished) return;
+      finished = true;
+      done(err, null, null);
+    });
+    // wait for stdio closed
+    proc.once('close', (code, exitSignal) => {
+      if (finished) return;
+      finished = true;
+      done(null, code, exitSignal);
+    });
+    return undefined;
+  });
+}
+
+const PREFIX_COLORS = ['cyan', 'magenta', 'yellow', 'green', 'blue', 'red'];
+
+/**
+ * run named processes at the same time, each output line is prefixed by a colored name
+ * @method helper#concurrently
+ * @param {Array} tasks - `[{ name, cmd, args, options, color, restart }]`, use `fork: modulePath` instead of `cmd` for node
+ * @param {Object} [options] - options
+ * @param {Boolean} [options.killOthersOnFail] - kill the others when any one fail, default to false
+ * @param {Object} [options.restart] - default restart policy of tasks, `{ retries, delay, maxDelay }`,
+ *   a crashed task is restarted at most `retries` times, the delay doubles every time
+ * @param {Stream} [options.stdout] - default to process.stdout
+ * @param {Stream} [options.stderr] - default to process.stderr
+ * @param {Object} [options.env] - default env of tasks, default to process.env
+ * @return {Promise} resolve `[{ name, code, signal, restarts, killed }]`,
+ *   reject when any task fail with `err.results` and `err.exitCode` of the first failed task
+ * @example
+ * yield helper.concurrently([
+ *   { name: 'mock', fork: require.resolve('./mock-server'), restart: { retries: 3 } },
+ *   { name: 'tsc', cmd: 'tsc', args: ['--watch', '--noEmit'] },
+ * ], { killOthersOnFail: true });
+ */
+exports.concurrently = (tasks, options = {}) => {
+  assert(is.array(tasks) && tasks.length, 'tasks should be a non-empty array');
+  const stdout = options.stdout || process.stdout;
+  const stderr = options.stderr || process.stderr;
+  const width = Math.max(...tasks.map(task => task.name.length));
+  // <name, child process>
+  const running = new Map();
+  const timers = new Set();
+  const results = tasks.map(task => ({ name: task.name, code: null, signal: null, restarts: 0, killed: false }));
+  let stopping = false;
+
+  const stopAll = () => {
+    stopping = true;
+    for (const timer of timers) clearTimeout(timer);
+    for (const [name, proc] of running) {
+      debug('kill `%s` (%s) as others failed', name, proc.pid);
+      results.find(result => result.name === name).killed = true;
+      exports.killTree(proc.pid, 'SIGTERM');
+    }
+  };
+
+  const runTask = (task, index) => new Promise((resolve) => {
+    const result = results[index];
+    const color = task.color || PREFIX_COLORS[index % PREFIX_COLORS.length];
+    const prefix = `${colors[color](`[${task.name}]`)}${' '.repeat(width - task.name.length)} `;
+    const restart = Object.assign({ retries: 0, delay: 1000, maxDelay: 30000 }, options.restart, task.restart);
+    const args = task.args || [];
+
+    const start = () => {
+      const stdio = task.fork ? ['inherit', 'pipe', 'pipe', 'ipc'] : ['inherit', 'pipe', 'pipe'];
+      const spawnOptions = Object.assign({ env: options.env }, task.options, { stdio });
+      debug('Run concurrently `%s`: %s %s', task.name, task.fork || task.cmd, args.join(' '));
+      const proc = task.fork ? cp.fork(task.fork, args, spawnOptions) : spawn(task.cmd, args, spawnOptions);
+      gracefull(proc);
+      running.set(task.name, proc);
+      pipeLines(proc.stdout, stdout, prefix);
+      pipeLines(proc.stderr, stderr, prefix);
+
+      let exited = false;
+      const onExit = (code, signal) => {
+        if (exited) return;
+        exited = true;
+        childs.delete(proc);
+        running.delete(task.name);
+        // exit code is decided by the signal handler
+        if (shuttingDown) return;
+        result.code = code;
+        result.signal = signal;
+        const status = signal ? `signal ${signal}` : `code ${code}`;
+        const failed = code !== 0 && !result.killed;
+
+        if (failed && !stopping && result.restarts < restart.retries) {
+          const delay = Math.min(restart.delay * (2 ** result.restarts), restart.maxDelay);
+          result.restarts++;
+          stderr.write(`${prefix}exited with ${status}, restart in ${delay}ms (${result.restarts}/${restart.retries})\n`);
+          const timer = setTimeout(() => {
+            timers.delete(timer);
+            start();
+          }, delay);
+          timers.add(timer);
+          return;
+        }
+
+        stderr.write(`${prefix}exited with ${status}\n`);
+        if (failed && options.killOthersOnFail && !stopping) stopAll();
+        resolve();
+      };
+      proc.once('error', (err) => {
+        stderr.write(`${prefix}${err.message}\n`);
+        // command not found
+        onExit(127, null);
+      });
+      proc.once('exit', onExit);
+    };
+    start();
+  });
+
+  return Promise.all(tasks.map(runTask)).then(() => {
+    // tasks killed by `killOthersOnFail` are not the reason of failure
+    const failures = results.filter(result => result.code !== 0 && !result.killed);
+    if (!failures.length) return results;
+    const err = new Error(`${failures.map(result => result.name).join(', ')} failed, exit code: ${failures.map(result => result.code).join(', ')}`);
+    err.results = results;
+    err.exitCode = failures[0].code || 1;
+    throw err;
+  });
+};
+
 /**
  * exec npm install
  * @method helper#npmInstall
@@ -156,39 +623,92 @@ exports.unparseArgv = (argv, options = {}) =>
   // yargs will paser `debug-brk` to `debug-brk` and `debugBrk`, so we need to filter
    [...new Set(unparse(argv, options))];
 
+/**
+ * runtime flags which are extracted to execArgv besides debug flags, `_` and `-` are treated as the same,
+ * flags which may be options of commands, such as `import`, `loader`, `conditions`, `prof`, `warnings` and
+ * `deprecation`, are not extracted unless opted in by `parserOptions.execArgvFlags`,
+ * and options declared by the command are never extracted, such as its own `--require`
+ * @type {Array}
+ */
+exports.EXEC_ARGV_FLAGS = [
+  'require', 'es_staging', 'expose_debug_as', /^harmony.*/,
+  'max-old-space-size', 'max-semi-space-size', 'stack-size', 'stack-trace-limit',
+  'experimental-loader', 'preserve-symlinks', 'preserve-symlinks-main',
+  'cpu-prof', 'cpu-prof-dir', 'cpu-prof-name', 'heap-prof', 'heap-prof-dir',
+  'enable-source-maps', 'expose-gc', 'unhandled-rejections', 'abort-on-uncaught-exception',
+  'trace-deprecation', 'throw-deprecation', 'trace-warnings', 'trace-uncaught',
+  /^experimental-/,
+];
+
+// short runtime flags
+const EXEC_ARGV_ALIASES = { r: 'require' };
+
+const DEBUG_FLAGS = ['debug', 'debug-brk', 'debug-port', 'inspect', 'inspect-brk', 'inspect-port'];
+
 /**
  * extract execArgv from argv
  * @method helper#extractExecArgv
  * @param {Object} argv - yargs style
- * @return {Object} { debugPort, debugOptions: {}, execArgvObj: {} }
+ * @param {Object} [options] - options
+ * @param {Array} [options.flags] - extra runtime flags, string or regexp, see `EXEC_ARGV_FLAGS`
+ * @param {Array} [options.exclude] - keys never extracted, such as options declared by the command
+ * @return {Object} { debugPort, debugOptions: {}, execArgvObj: {}, keys: [] }, keys are the extracted ones of argv,
+ *   short flags are named by the long ones in execArgvObj, such as `-r` to `require`
  */
-exports.extractExecArgv = (argv) => {
+exports.extractExecArgv = (argv, options = {}) => {
   const debugOptions = {};
   const execArgvObj = {};
+  const keys = [];
+  const flags = exports.EXEC_ARGV_FLAGS.concat(options.flags || []);
+  const exclude = new Set((options.exclude || []).map(key => key.replace(/_/g, '-')));
   let debugPort;
 
   for (const key of Object.keys(argv)) {
     const value = argv[key];
+    const name = EXEC_ARGV_ALIASES[key] || key;
     // skip undefined set uppon (camel etc.)
     if (value === undefined) continue;
+    if (exclude.has(key.replace(/_/g, '-')) || exclude.has(name)) continue;
     // debug / debug-brk / debug-port / inspect / inspect-brk / inspect-port
-    if (['debug', 'debug-brk', 'debug-port', 'inspect', 'inspect-brk', 'inspect-port'].includes(key)) {
+    if (DEBUG_FLAGS.includes(key)) {
       if (typeof value === 'number') debugPort = value;
       debugOptions[key] = argv[key];
       execArgvObj[key] = argv[key];
-    } else if (match(key, ['es_staging', 'expose_debug_as', /^harmony.*/])) {
-      execArgvObj[key] = argv[key];
+      keys.push(key);
+    } else if (match(name, flags) || match(name.replace(/_/g, '-'), flags)) {
+      // `-r a --require b`
+      execArgvObj[name] = execArgvObj[name] === undefined ? value : [].concat(execArgvObj[name], value);
+      keys.push(key);
     }
   }
-  return { debugPort, debugOptions, execArgvObj };
+  return { debugPort, debugOptions, execArgvObj, keys };
+};
+
+/**
+ * split `NODE_OPTIONS` into debug flags and the others, debug flags should not be inherited by every child,
+ * otherwise they are fighting for the same port
+ * @method helper#splitNodeOptions
+ * @param {String} nodeOptions - such as `--inspect=9230 --max-old-space-size=4096`
+ * @return {Object} { debugArgv: [], otherArgv: [] }
+ */
+exports.splitNodeOptions = (nodeOptions = '') => {
+  const debugArgv = [];
+  const otherArgv = [];
+  const args = nodeOptions.match(/(?:[^\s"']+|"[^"]*"|'[^']*')+/g) || [];
+  for (const arg of args) {
+    const name = arg.replace(/^--/, '').split('=')[0];
+    (DEBUG_FLAGS.includes(name) ? debugArgv : otherArgv).push(arg);
+  }
+  return { debugArgv, otherArgv };
 };
 
 /**
  * get registryUrl by short name
  * @param {String} key - short name, support `china / npm / npmrc`, default to read from .npmrc
+ * @param {String} [cwd] - project root to read .npmrc, default to process.cwd()
  * @return {String} registryUrl
  */
-exports.getRegistryByType = (key) => {
+exports.getRegistryByType = (key, cwd) => {
   switch (key) {
     case 'tnpm':
       return 'http://r.tnpm.oa.com';
@@ -201,121 +721,224 @@ exports.getRegistryByType = (key) => {
         if (/^https?:/.test(key)) {
           return key.replace(/\/$/, '');
         }
-        // support .npmrc
+        // support .npmrc and `npm_config_registry`
+        const npmrc = registry.loadNpmrc({ cwd });
+        if (npmrc.registry) return npmrc.registry.replace(/\/$/, '');
         const home = homedir();
-        let url = process.env.npm_registry || process.env.npm_config_registry || 'https://registry.cnpmjs.org';
         if (fs.existsSync(path.join(home, '.cnpmrc')) || fs.existsSync(path.join(home, '.tnpmrc'))) {
-          url = 'https://r.tnpm.oa.com';
+          return 'https://r.tnpm.oa.com';
         }
-        url = url.replace(/\/$/, '');
-        return url;
+        return (process.env.npm_registry || 'https://registry.cnpmjs.org').replace(/\/$/, '');
       }
   }
 };
 
 /**
-* Get package info from registry
+* Get package info from registry, see `RegistryClient` of `lib/registry.js`
 *
 * @param {String} registryUrl - registry url
-* @param {String} pkgName - package name
+* @param {String} pkgName - package name, support `name@range` and `name@tag`, default to latest
 * @param {Boolean} withFallback  - when http request fail, whethe to request local
 * @param {Function} log - log function, default is console.log
+* @return {Object} package.json of the version
 */
 exports.getPackageInfo = function* (registryUrl, pkgName, withFallback, log = console.log) {
   log(`fetching npm info of ${pkgName}`);
+  const { name, range } = registry.parseSpec(pkgName);
   try {
-    const result = yield urllib.request(`${registryUrl}/${pkgName}/latest`, {
-      dataType: 'json',
-      followRedirect: true,
-    });
-    assert(result.status === 200, `npm info ${pkgName} failed, got error: ${result.status}, ${result.data.reason}`);
-    return result.data;
+    const client = new registry.RegistryClient({ registry: registryUrl });
+    return yield client.resolve(name, range);
   } catch (err) {
     if (withFallback) {
-      log(`use fallbck for package ${pkgName}`);
-      return require(`${pkgName}/package.json`); // eslint-disable-line import/no-dynamic-require,global-require
+      log(`use fallbck for package ${name}`);
+      return require(`${name}/package.json`); // eslint-disable-line import/no-dynamic-require,global-require
     }
     throw err;
   }
 };
 
-exports.getToolkitDir = (toolkit, recoDir) => {
-  if (!toolkit) {
-    throw new Error('Argument toolkit is required!');
-  }
-  const isPkg = toolkit.startsWith('@tencent');
-  if (!isPkg) { // toolkit本地调试路径
-    return toolkit;
-  }
-  if (!recoDir.startsWith('@tencent')) { // 本地link方式调试
-    return path.resolve(recoDir, `../${toolkit.split('/')[1]}`);
-  }
-  return isPkg ? path.resolve(recoDir, `../${toolkit.split('/')[1]}`) : toolkit;
+/**
+ * get root dir of toolkit, see `resolveToolkit` of `lib/toolkit.js`
+ * @method helper#getToolkitDir
+ * @param {String} toolkit - package name, short name or local path
+ * @param {String} recoDir - root dir of reco package
+ * @param {Object} [options] - `cwd`, `scopes` and `overrides`, default to `toolkits` of reco-config
+ * @return {String} root dir, throw with the tried candidates when not found
+ */
+exports.getToolkitDir = (toolkit, recoDir, options) =>
+  toolkits.resolveToolkit(toolkit, Object.assign({ binDir: recoDir }, options));
+
+/**
+ * get resolved reco-config, see `lib/config-loader.js`
+ * @method helper#getRecoConfig
+ * @param {Object} ctx - command context
+ * @param {String} [envName] - env name, default to `RECO_ENV` / `NODE_ENV` of `ctx.env`
+ * @return {Object} config
+ */
+exports.getRecoConfig = (ctx, envName) => {
+  const name = envName || configLoader.getEnvName(ctx.env);
+  if (name === configLoader.getEnvName(ctx.env) && ctx.config) return ctx.config;
+  return configLoader.load({ cwd: ctx.cwd, env: name });
 };
 
-exports.mergeWebpackConfig = (ctx, clientConfig) => {
-  const recoConfigFile = `${ctx.cwd}/config/reco-config.js`;
-  const isDev = ctx.env.NODE_ENV === 'development';
-  if (fs.existsSync(recoConfigFile)) {
-    const recoConfig = require(recoConfigFile);
-    const webpackConfig = recoConfig.webpack;
-    if (webpackConfig) {
-      const { common, env = {} } = webpackConfig;
-      return webpackMerge(clientConfig, common, (isDev ? env.development : env.production) || {});
-    }
+/**
+ * merge `webpack.common` and `webpack.env.<envName>` of reco-config into client config,
+ * unknown env names fallback to `webpack.env.production`
+ * @method helper#mergeWebpackConfig
+ * @param {Object} ctx - command context
+ * @param {Object} clientConfig - webpack config
+ * @param {String} [envName] - env name, default to `RECO_ENV` / `NODE_ENV` of `ctx.env`
+ * @return {Object} webpack config
+ */
+exports.mergeWebpackConfig = (ctx, clientConfig, envName) => {
+  const name = envName || configLoader.getEnvName(ctx.env);
+  const webpackConfig = exports.getRecoConfig(ctx, name).webpack;
+  if (webpackConfig) {
+    const { common, env = {} } = webpackConfig;
+    return webpackMerge(clientConfig, common || {}, env[name] || (name === 'development' ? {} : env.production) || {});
   }
 
   return clientConfig;
 };
 
+/**
+ * convert config to JSON friendly object, functions and classes become placeholders, secrets are redacted
+ * @method helper#serializeConfig
+ * @param {Object} config - config object
+ * @return {Object} serialized config
+ */
+exports.serializeConfig = config => exports.redactSecrets(convertObject(Object.assign({}, config), []));
+
+/**
+ * replace values of secret like keys, such as `token` / `password` / `apiKey`, with `<redacted>`
+ * @method helper#redactSecrets
+ * @param {*} value - object or array
+ * @return {*} a redacted copy
+ */
+exports.redactSecrets = (value) => {
+  if (is.array(value)) return value.map(exports.redactSecrets);
+  if (!value || Object.getPrototypeOf(value) !== Object.prototype) return value;
+  const result = {};
+  for (const key of Object.keys(value)) {
+    result[key] = SECRET_KEY.test(key) && !is.nullOrUndefined(value[key]) ? '<redacted>' : exports.redactSecrets(value[key]);
+  }
+  return result;
+};
+
+/**
+ * get value by dotted path
+ * @method helper#getByPath
+ * @param {Object} obj - object
+ * @param {String} keyPath - such as `module.rules[0].loader` or `module.rules.0.loader`
+ * @return {*} value, undefined if not found
+ */
+exports.getByPath = (obj, keyPath) => keyPath
+  .replace(/\[(\d+)\]/g, '.$1')
+  .split('.')
+  .filter(Boolean)
+  .reduce((value, key) => (is.nullOrUndefined(value) ? undefined : value[key]), obj);
+
 exports.dumpConfig = (ctx, clientConfig) => {
   // dump config
-  const json = Object.assign({}, clientConfig);
-  const isDev = ctx.env.NODE_ENV === 'development';
-  convertObject(json, []);
-  mkdirp(path.resolve(ctx.cwd, './run'));
+  const json = exports.serializeConfig(clientConfig);
+  const envName = configLoader.getEnvName(ctx.env);
+  mkdirp.sync(path.resolve(ctx.cwd, './run'));
 
-  const dumpFile = path.join(ctx.cwd, isDev ? 'run/webpack.development.json' : 'run/webpack.production.json');
+  const dumpFile = path.join(ctx.cwd, `run/webpack.${envName}.json`);
   fs.writeFileSync(dumpFile, JSON.stringify(json, null, 2));
 };
 
-exports.installToolkit = function (recoDir, pkgName) {
-  const args = ['install', pkgName];
-  const registryUrl = this.helper.getRegistryByType('tnpm');
-  if (registryUrl) args.push('--registry', registryUrl);
+/**
+ * check bundle size against `budgets` of reco-config, and print the difference from previous build
+ * @method helper#checkBundleSize
+ * @param {Object} ctx - command context
+ * @param {Stats} stats - webpack stats of a successful build
+ * @param {Object} [options] - options
+ * @param {Object} [options.logger] - logger to print the difference, default to console
+ * @return {Object} build report
+ * @throws {SizeBudgetError} when any budget is exceeded
+ */
+exports.checkBundleSize = (ctx, stats, options = {}) => {
+  const logger = options.logger || console;
+  const budgets = exports.getRecoConfig(ctx).budgets;
+  const report = createBuildReport(stats);
+
+  // compare with previous snapshot
+  const snapshot = sizeBudget.createSnapshot(report);
+  const snapshotFile = path.join(ctx.cwd, `run/size-snapshot.${configLoader.getEnvName(ctx.env)}.json`);
+  if (fs.existsSync(snapshotFile)) {
+    const prev = JSON.parse(fs.readFileSync(snapshotFile, 'utf8'));
+    const changes = sizeBudget.diffSnapshot(prev, snapshot);
+    if (changes.length) {
+      const show = size => (size === undefined ? '-' : sizeBudget.formatSize(size));
+      const rows = changes.map(item => [
+        item.type,
+        item.name,
+        show(item.before),
+        show(item.after),
+        `${item.delta > 0 ? '+' : ''}${sizeBudget.formatSize(item.delta)}`,
+      ]);
+      logger.info(`Bundle size changed since ${prev.time}\n${sizeBudget.formatTable(['Type', 'Name', 'Before', 'After', 'Diff'], rows)}`);
+    }
+  }
+  if (!fs.existsSync(path.dirname(snapshotFile))) fs.mkdirSync(path.dirname(snapshotFile));
+  fs.writeFileSync(snapshotFile, JSON.stringify(snapshot, null, 2));
 
-  // prefix setting
-  if (recoDir.includes('@tencent')) { // 包安装方式
-    args.push('--prefix', path.resolve(recoDir, '../../..'));
-  } else { // link调试方式
-    args.push('--prefix', path.resolve(recoDir, '../'));
+  if (budgets) {
+    const exceeded = sizeBudget.checkBudgets(report, budgets);
+    if (exceeded.length) throw new sizeBudget.SizeBudgetError(exceeded);
   }
-  return new Promise((resolve, reject) => {
-    try {
-      this.logger.info(`Prepare install ${pkgName}  args: `, args);
-      this.helper.spawn('npm', args, {
-        stdio: 'inherit',
-      }).then(() => {
-        this.logger.info(`Install ${pkgName} succeed`);
-        resolve();
-      });
-    } catch (err) {
-      this.logger.error(`Install ${pkgName} failed, error: `, err);
-      reject(err);
+  return report;
+};
+
+/**
+ * install toolkit beside reco, see `ToolkitManager` of `lib/toolkit.js`
+ * @method helper#installToolkit
+ * @param {String} recoDir - root dir of reco package
+ * @param {String} pkgName - package spec, such as `name` / `name@^1.0.0`
+ * @param {Object} [options] - `registry` and `packageManager`, default to .npmrc and detect
+ * @param {Object} [options.prompt] - prompts to confirm, default to `helper.prompt`
+ * @return {Promise} resolve `{ name, version }` or null if not confirmed, reject when install or verify failed
+ */
+exports.installToolkit = function (recoDir, pkgName, options = {}) {
+  const { prompt = exports.prompt } = options;
+  const manager = new toolkits.ToolkitManager(Object.assign({
+    prefix: toolkits.installPrefix(recoDir),
+    logger: this.logger,
+  }, options));
+  return co(function* () {
+    const confirmed = yield prompt.confirm({
+      message: `Install ${pkgName} to ${manager.prefix}?`,
+      default: true,
+    });
+    if (!confirmed) {
+      this.logger.info(`Install ${pkgName} cancelled`);
+      return null;
     }
+    return yield manager.install(pkgName);
+  }.bind(this)).catch((err) => {
+    this.logger.error(`Install ${pkgName} failed, error: ${err.message}`);
+    throw err;
   });
 };
 
+function pipeLines(input, output, prefix) {
+  readline.createInterface({ input }).on('line', line => output.write(`${prefix}${line}\n`));
+}
+
+const SECRET_KEY = /secret|token|passw(or)?d|api[-_]?key|private[-_]?key|credential|authorization|cookie/i;
+
 function match(key, arr) {
   return arr.some(x => x instanceof RegExp ? x.test(key) : x === key); // eslint-disable-line no-confusing-arrow
 }
 
 function convertObject(obj, ignore) {
   if (!is.array(ignore)) ignore = [ignore];
+  const result = {};
   for (const key of Object.keys(obj)) {
-    obj[key] = convertValue(key, obj[key], ignore);
+    result[key] = convertValue(key, obj[key], ignore);
   }
-  return obj;
+  return result;
 }
 
 function convertValue(key, value, ignore) {
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const assert = require('assert');
+const colors = require('colors/safe');
+
+const WRITE = Symbol('Logger#write');
+const FILE_READY = Symbol('Logger#fileReady');
+
+const LEVELS = {
+  debug: 0,
+  info: 1,
+  log: 1,
+  warn: 2,
+  error: 3,
+  silent: 4,
+};
+
+const LEVEL_COLORS = {
+  info: 'green',
+  log: 'green',
+  warn: 'yellow',
+  error: 'red',
+};
+
+class Logger {
+  /**
+   * @param {Object} [options] - options, shared with all child loggers
+   * @param {String} [options.name] - logger name, print as `[name]`
+   * @param {String} [options.level=info] - threshold, `debug` / `info` / `warn` / `error` / `silent`
+   * @param {Boolean} [options.json] - whether print as NDJSON, one object per line
+   * @param {String} [options.file] - absolute path of log file, plain text is appended to it
+   * @param {Stream} [options.stdout] - stream for debug / info / log, default to process.stdout
+   * @param {Stream} [options.stderr] - stream for warn / error, default to process.stderr
+   */
+  constructor(options = {}) {
+    this.name = options.name || '';
+    this.options = {};
+    this.configure(Object.assign({ level: 'info' }, options));
+  }
+
+  /**
+   * update options, child loggers will be affected too
+   * @param {Object} options - see constructor
+   * @return {Logger} this
+   */
+  configure(options) {
+    const opts = Object.assign({}, options);
+    delete opts.name;
+    if (opts.level !== undefined) {
+      assert(LEVELS.hasOwnProperty(opts.level), `unknown log level \`${opts.level}\`, should be one of ${Object.keys(LEVELS)}`);
+    }
+    if (opts.file !== this.options.file) this[FILE_READY] = false;
+    Object.assign(this.options, opts);
+    return this;
+  }
+
+  /**
+   * create a child logger, which shares options with parent
+   * @param {String} name - child logger name
+   * @return {Logger} child logger
+   */
+  child(name) {
+    const logger = new Logger({ name });
+    logger.options = this.options;
+    return logger;
+  }
+
+  /**
+   * whether the level would be printed
+   * @param {String} level - log level
+   * @return {Boolean} enabled
+   */
+  enabled(level) {
+    return LEVELS[level] >= LEVELS[this.options.level];
+  }
+
+  debug(...args) {
+    this[WRITE]('debug', args);
+  }
+
+  info(...args) {
+    this[WRITE]('info', args);
+  }
+
+  log(...args) {
+    this[WRITE]('log', args);
+  }
+
+  warn(...args) {
+    this[WRITE]('warn', args);
+  }
+
+  error(...args) {
+    this[WRITE]('error', args);
+  }
+
+  [WRITE](level, args) {
+    const { json, file } = this.options;
+    const message = util.format(...args);
+    const upperLevel = level.toUpperCase();
+
+    if (file) {
+      const line = `${new Date().toISOString()} ${upperLevel} [${this.name}] ${colors.strip(message)}\n`;
+      // file sink records every level, so `--silent` still keeps a trace for debugging
+      if (!this[FILE_READY]) {
+        const dir = path.dirname(file);
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir);
+        this[FILE_READY] = true;
+      }
+      fs.appendFileSync(file, line);
+    }
+
+    if (!this.enabled(level)) return;
+
+    const isError = LEVELS[level] >= LEVELS.warn;
+    const stream = (isError ? this.options.stderr : this.options.stdout) || (isError ? process.stderr : process.stdout);
+    if (json) {
+      stream.write(`${JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        name: this.name,
+        message: colors.strip(message),
+      })}\n`);
+    } else {
+      const label = LEVEL_COLORS[level] ? colors[LEVEL_COLORS[level]](upperLevel) : upperLevel;
+      stream.write(` ${label} [${this.name}] ${message}\n`);
+    }
+  }
+}
+
+Logger.LEVELS = LEVELS;
+
+module.exports = Logger;
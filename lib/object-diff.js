@@ -0,0 +1,27 @@
+const is = require('is-type-of');
+
+/**
+ * deep diff of two JSON like values
+ * @param {*} before - old value
+ * @param {*} after - new value
+ * @param {String} [keyPath] - key path prefix
+ * @return {Array} `[{ type, path, before, after }]`, type is `added` / `removed` / `changed`
+ * @example `diff({ a: 1 }, { a: 2, b: 1 }) // [{ type: 'changed', path: 'a', ... }, { type: 'added', path: 'b', ... }]`
+ */
+module.exports = function diff(before, after, keyPath = '') {
+  const isContainer = value => is.array(value) || (is.object(value) && value !== null);
+  if (!isContainer(before) || !isContainer(after) || is.array(before) !== is.array(after)) {
+    if (before === after) return [];
+    if (before === undefined) return [{ type: 'added', path: keyPath, before, after }];
+    if (after === undefined) return [{ type: 'removed', path: keyPath, before, after }];
+    return [{ type: 'changed', path: keyPath, before, after }];
+  }
+
+  const join = key => (is.array(before) ? `${keyPath}[${key}]` : keyPath ? `${keyPath}.${key}` : key); // eslint-disable-line no-nested-ternary
+  const keys = new Set(Object.keys(before).concat(Object.keys(after)));
+  const changes = [];
+  for (const key of keys) {
+    changes.push(...diff(before[key], after[key], join(key)));
+  }
+  return changes;
+};
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const debug = require('debug')('reco-bin');
+
+/**
+ * discover plugins from dependencies of project package.json and the `plugins` list
+ * @param {Object} options - options
+ * @param {String} options.cwd - project root
+ * @param {Array} options.prefixes - name prefixes, `@scope/<prefix>*` is matched too
+ * @param {Array} [options.plugins] - names or paths listed in reco-config
+ * @return {Array} `[{ name, path }]`
+ */
+exports.discover = ({ cwd, prefixes, plugins = [] }) => {
+  const names = [];
+
+  const pkgFile = path.join(cwd, 'package.json');
+  if (fs.existsSync(pkgFile)) {
+    const pkg = JSON.parse(fs.readFileSync(pkgFile, 'utf8'));
+    const deps = Object.keys(Object.assign({}, pkg.dependencies, pkg.devDependencies));
+    for (const name of deps) {
+      const bareName = name.replace(/^@[^/]+\//, '');
+      if (prefixes.some(prefix => bareName.startsWith(prefix))) names.push(name);
+    }
+  }
+
+  names.push(...plugins);
+
+  const result = [];
+  const seen = new Set();
+  for (const name of names) {
+    const pluginPath = exports.resolve(name, cwd);
+    if (seen.has(pluginPath)) continue;
+    seen.add(pluginPath);
+    result.push({ name, path: pluginPath });
+  }
+  debug('discover plugins %j', result);
+  return result;
+};
+
+/**
+ * resolve plugin entry from project
+ * @param {String} name - package name or path relative to cwd
+ * @param {String} cwd - project root
+ * @return {String} entry file
+ */
+exports.resolve = (name, cwd) => {
+  const request = /^[./]/.test(name) ? path.resolve(cwd, name) : name;
+  try {
+    return require.resolve(request, { paths: [cwd] });
+  } catch (err) {
+    err.message = `plugin \`${name}\` can not be resolved from ${cwd}: ${err.message}`;
+    throw err;
+  }
+};
@@ -0,0 +1,308 @@
+const readline = require('readline');
+const { Writable } = require('stream');
+const co = require('co');
+const colors = require('colors/safe');
+const is = require('is-type-of');
+
+class PromptError extends Error {
+  constructor(message, exitCode = 1) {
+    super(message);
+    this.name = 'PromptError';
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * create prompts with their own settings, each command has one at `helper.prompt`,
+ * so commands executed in the same process never share argv or streams
+ * @param {Object} [settings] - see `configure`
+ * @return {Object} prompts: configure / isInteractive / confirm / input / password / select / multiselect
+ */
+function create(settings) {
+  const prompt = {};
+
+  // shared readline interface, lines typed ahead are queued
+  const session = { rl: null, lines: [], waiting: null, muted: false, closeTimer: null };
+
+  // set by CommonBin when context created, see `configure`
+  const state = {
+    argv: {},
+    yes: false,
+    input: process.stdin,
+    output: process.stdout,
+  };
+
+  /**
+   * configure prompts, CommonBin sets it with `context.argv` and `--yes`
+   * @param {Object} options - options
+   * @param {Object} [options.argv] - answers are prefilled by `argv[name]`
+   * @param {Boolean} [options.yes] - accept defaults of all prompts, confirm is answered with yes
+   * @param {Stream} [options.input] - default to process.stdin
+   * @param {Stream} [options.output] - default to process.stdout
+   */
+  prompt.configure = (options) => {
+    Object.assign(state, options);
+  };
+
+  /**
+   * whether prompts could ask user
+   * @return {Boolean} interactive
+   */
+  prompt.isInteractive = () => !!(state.input.isTTY && state.output.isTTY);
+
+  /**
+   * ask yes or no
+   * @param {Object} options - options
+   * @param {String} options.message - question
+   * @param {String} [options.name] - prefilled by `argv[name]`, such as `--force` / `--no-force`
+   * @param {Boolean} [options.default] - default to false, `--yes` answers true
+   * @return {Promise} Boolean
+   * @example `if (yield helper.prompt.confirm({ message: 'Overwrite?', name: 'force' })) {}`
+   */
+  prompt.confirm = options => co(function* () {
+    const prefilled = getPrefilled(options);
+    if (prefilled !== undefined) {
+      if (is.boolean(prefilled)) return prefilled;
+      return parseBoolean(prefilled, options);
+    }
+    if (state.yes) return true;
+    const defaultValue = !!options.default;
+    if (!prompt.isInteractive()) return defaultValue;
+
+    for (;;) {
+      const answer = (yield ask(`${options.message} ${colors.gray(defaultValue ? '(Y/n)' : '(y/N)')} `)).trim();
+      if (!answer) return defaultValue;
+      try {
+        return parseBoolean(answer, options);
+      } catch (err) {
+        writeLine(colors.red(err.message));
+      }
+    }
+  });
+
+  /**
+   * ask for text
+   * @param {Object} options - options
+   * @param {String} options.message - question
+   * @param {String} [options.name] - prefilled by `argv[name]`
+   * @param {String} [options.default] - default answer
+   * @param {Function} [options.validate] - `value => true | 'error message'`, support promise
+   * @return {Promise} String
+   */
+  prompt.input = options => co(function* () {
+    return yield askText(options, false);
+  });
+
+  /**
+   * ask for secret, the answer is not echoed
+   * @param {Object} options - options, same as `input` except default
+   * @return {Promise} String
+   */
+  prompt.password = options => co(function* () {
+    return yield askText(Object.assign({}, options, { default: undefined }), true);
+  });
+
+  /**
+   * select one of choices
+   * @param {Object} options - options
+   * @param {String} options.message - question
+   * @param {Array} options.choices - strings or `{ name, value }`
+   * @param {String} [options.name] - prefilled by `argv[name]`, which should be a value of choices
+   * @param {*} [options.default] - default value
+   * @return {Promise} value of the selected choice
+   */
+  prompt.select = options => co(function* () {
+    const choices = normalizeChoices(options.choices);
+    const find = value => choices.find(choice => String(choice.value) === String(value));
+    const prefilled = getPrefilled(options);
+    if (prefilled !== undefined) {
+      const choice = find(prefilled);
+      if (!choice) throw invalidChoice(options, prefilled, choices);
+      return choice.value;
+    }
+    if (state.yes || !prompt.isInteractive()) return fallback(options);
+
+    const defaultIndex = choices.findIndex(choice => choice.value === options.default);
+    printChoices(options.message, choices);
+    for (;;) {
+      const hint = defaultIndex === -1 ? '' : colors.gray(`(${defaultIndex + 1}) `);
+      const answer = (yield ask(`Select 1-${choices.length} ${hint}`)).trim();
+      if (!answer && defaultIndex !== -1) return options.default;
+      const choice = choices[Number(answer) - 1] || find(answer);
+      if (choice) return choice.value;
+      writeLine(colors.red(`please enter a number between 1 and ${choices.length}`));
+    }
+  });
+
+  /**
+   * select any of choices
+   * @param {Object} options - options
+   * @param {String} options.message - question
+   * @param {Array} options.choices - strings or `{ name, value }`
+   * @param {String} [options.name] - prefilled by `argv[name]`, array or comma separated values
+   * @param {Array} [options.default] - default values, default to none
+   * @return {Promise} Array of values
+   */
+  prompt.multiselect = options => co(function* () {
+    const choices = normalizeChoices(options.choices);
+    const find = value => choices.find(choice => String(choice.value) === String(value).trim());
+    const prefilled = getPrefilled(options);
+    if (prefilled !== undefined) {
+      const values = is.array(prefilled) ? prefilled : String(prefilled).split(',').filter(Boolean);
+      const invalid = values.find(value => !find(value));
+      if (invalid !== undefined) throw invalidChoice(options, invalid, choices);
+      return values.map(value => find(value).value);
+    }
+    const defaultValues = options.default || [];
+    if (state.yes || !prompt.isInteractive()) return defaultValues;
+
+    printChoices(options.message, choices);
+    for (;;) {
+      const hint = defaultValues.length ? colors.gray(`(${defaultValues.join(',')}) `) : '';
+      const answer = (yield ask(`Select numbers separated by comma ${hint}`)).trim();
+      if (!answer) return defaultValues;
+      const selected = answer.split(',').map(item => choices[Number(item.trim()) - 1] || find(item));
+      if (selected.every(Boolean)) return Array.from(new Set(selected.map(choice => choice.value)));
+      writeLine(colors.red(`please enter numbers between 1 and ${choices.length}`));
+    }
+  });
+
+  function* askText(options, secret) {
+    const prefilled = getPrefilled(options);
+    if (prefilled !== undefined) {
+      const error = yield validate(options, String(prefilled));
+      if (error) throw new PromptError(`\`--${options.name}\` is invalid: ${error}`, 2);
+      return String(prefilled);
+    }
+    if (state.yes || !prompt.isInteractive()) {
+      const value = fallback(options);
+      const error = yield validate(options, value);
+      if (error) throw new PromptError(`default value of "${options.message}" is invalid: ${error}`);
+      return value;
+    }
+
+    const hint = options.default === undefined ? '' : colors.gray(`(${options.default}) `);
+    for (;;) {
+      let answer = yield ask(`${options.message} ${hint}`, secret);
+      if (!answer && options.default !== undefined) answer = String(options.default);
+      const error = yield validate(options, answer);
+      if (!error) return answer;
+      writeLine(colors.red(error));
+    }
+  }
+
+  function getPrefilled(options) {
+    if (!options.name) return undefined;
+    // declared options which are not passed, see `argv.$sources` of CommonBin
+    const sources = state.argv.$sources || {};
+    if (['none', 'default'].includes(sources[options.name])) return undefined;
+    return state.argv[options.name];
+  }
+
+  function fallback(options) {
+    if (options.default !== undefined) return options.default;
+    const how = options.name ? `, pass it by \`--${options.name}\`` : '';
+    const why = state.yes ? 'no default value to accept by `--yes`' : 'no TTY to prompt';
+    throw new PromptError(`"${options.message}" is required but ${why}${how}`);
+  }
+
+  function printChoices(message, choices) {
+    writeLine(message);
+    choices.forEach((choice, index) => writeLine(`  ${colors.cyan(`${index + 1})`)} ${choice.name}`));
+  }
+
+  function writeLine(line) {
+    state.output.write(`${line}\n`);
+  }
+
+  function openSession() {
+    clearImmediate(session.closeTimer);
+    if (session.rl) return session.rl;
+
+    // typed characters are not echoed when muted
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        if (!session.muted) state.output.write(chunk);
+        else if (String(chunk).includes('\n')) state.output.write('\n');
+        callback();
+      },
+    });
+    Object.defineProperty(output, 'columns', { get: () => state.output.columns });
+
+    const rl = readline.createInterface({ input: state.input, output, terminal: true });
+    const settle = (fn, value) => {
+      const waiting = session.waiting;
+      session.waiting = null;
+      session.muted = false;
+      if (waiting) waiting[fn](value);
+      return waiting;
+    };
+    rl.on('line', (line) => {
+      // lines typed ahead are kept for the following questions
+      if (!settle('resolve', line)) session.lines.push(line);
+    });
+    rl.on('SIGINT', () => {
+      state.output.write('\n');
+      settle('reject', new PromptError('prompt cancelled', 130));
+      rl.close();
+    });
+    rl.on('close', () => {
+      session.rl = null;
+      settle('reject', new PromptError('input closed before answered'));
+    });
+    session.rl = rl;
+    return rl;
+  }
+
+  function ask(question, secret) {
+    if (session.lines.length) {
+      const line = session.lines.shift();
+      state.output.write(`${question}${secret ? '' : line}\n`);
+      return Promise.resolve(line);
+    }
+
+    const rl = openSession();
+    return new Promise((resolve, reject) => {
+      session.waiting = { resolve, reject };
+      rl.setPrompt(question);
+      rl.prompt();
+      session.muted = !!secret;
+    }).then((answer) => {
+      // release stdin unless asked again soon
+      session.closeTimer = setImmediate(() => session.rl && session.rl.close());
+      return answer;
+    });
+  }
+
+  prompt.configure(settings);
+  return prompt;
+}
+
+// default prompts for using without CommonBin
+module.exports = create();
+module.exports.create = create;
+module.exports.PromptError = PromptError;
+
+function* validate(options, value) {
+  if (!options.validate) return null;
+  const result = yield Promise.resolve(options.validate(value));
+  if (result === true || result === undefined) return null;
+  return result || 'invalid value';
+}
+
+function parseBoolean(value, options) {
+  const text = String(value).toLowerCase();
+  if (['y', 'yes', 'true', '1'].includes(text)) return true;
+  if (['n', 'no', 'false', '0'].includes(text)) return false;
+  throw new PromptError(`${options.name ? `\`--${options.name}\` ` : ''}should be yes or no, but got ${value}`, 2);
+}
+
+function normalizeChoices(choices) {
+  if (!is.array(choices) || !choices.length) throw new PromptError('choices should be a non-empty array');
+  return choices.map(choice => (is.object(choice) ? choice : { name: String(choice), value: choice }));
+}
+
+function invalidChoice(options, value, choices) {
+  const values = choices.map(choice => JSON.stringify(choice.value)).join(', ');
+  return new PromptError(`\`--${options.name}\` got ${JSON.stringify(value)}, should be one of ${values}`, 2);
+}
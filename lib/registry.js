@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const urllib = require('urllib');
+const semver = require('semver');
+const homedir = require('node-homedir');
+const mkdirp = require('mz-modules/mkdirp');
+const sleep = require('mz-modules/sleep');
+const debug = require('debug')('reco-bin');
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org';
+
+/**
+ * parse content of .npmrc, `${ENV}` in values is expanded
+ * @param {String} content - ini content
+ * @param {Object} [env] - environment variables, default to process.env
+ * @return {Object} key-value pairs, such as `{ registry, '@scope:registry', '//host/:_authToken' }`
+ */
+exports.parseNpmrc = (content, env = process.env) => {
+  const result = {};
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith(';') || line.startsWith('#')) continue;
+    const index = line.indexOf('=');
+    if (index === -1) continue;
+    const key = line.slice(0, index).trim();
+    let value = line.slice(index + 1).trim();
+    if (/^(['"]).*\1$/.test(value)) value = value.slice(1, -1);
+    result[key] = value.replace(/\$\{([^}]+)\}/g, (_, name) => env[name] || '');
+  }
+  return result;
+};
+
+/**
+ * load npm config from `~/.npmrc`, `<cwd>/.npmrc` and `npm_config_*` env, later ones win
+ * @param {Object} [options] - options
+ * @param {String} [options.cwd] - project root, default to process.cwd()
+ * @param {Object} [options.env] - environment variables, default to process.env
+ * @return {Object} npm config
+ */
+exports.loadNpmrc = ({ cwd = process.cwd(), env = process.env } = {}) => {
+  const config = {};
+  for (const file of [path.join(homedir(), '.npmrc'), path.join(cwd, '.npmrc')]) {
+    if (fs.existsSync(file)) {
+      debug('load npmrc from `%s`', file);
+      Object.assign(config, exports.parseNpmrc(fs.readFileSync(file, 'utf8'), env));
+    }
+  }
+  for (const key of Object.keys(env)) {
+    const match = /^npm_config_(.+)$/i.exec(key);
+    if (match && /^(registry|proxy|https[-_]proxy|no[-_]proxy)$/i.test(match[1])) {
+      config[match[1].toLowerCase().replace(/_/g, '-')] = env[key];
+    }
+  }
+  return config;
+};
+
+/**
+ * encode package name for url, `@scope/name` -> `@scope%2Fname`
+ * @param {String} name - package name
+ * @return {String} encoded name
+ */
+exports.encodeName = name => (name.startsWith('@') ? `@${encodeURIComponent(name.slice(1))}` : encodeURIComponent(name));
+
+/**
+ * parse package spec, `@scope/name@^1.0.0` -> `{ name: '@scope/name', range: '^1.0.0' }`
+ * @param {String} spec - package spec
+ * @return {Object} { name, range }, range default to `latest`
+ */
+exports.parseSpec = (spec) => {
+  const index = spec.indexOf('@', 1);
+  if (index === -1) return { name: spec, range: 'latest' };
+  return { name: spec.slice(0, index), range: spec.slice(index + 1) || 'latest' };
+};
+
+class RegistryError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'RegistryError';
+    this.status = status;
+  }
+}
+
+/**
+ * npm registry client with .npmrc scopes / auth, proxy, retries and disk cache
+ */
+class RegistryClient {
+  /**
+   * @param {Object} [options] - options
+   * @param {String} [options.registry] - default registry, default to `registry` of .npmrc or npmjs
+   * @param {String} [options.cwd] - project root to read .npmrc
+   * @param {Object} [options.env] - environment variables, default to process.env
+   * @param {Object} [options.npmrc] - npm config, default to `loadNpmrc({ cwd, env })`
+   * @param {String} [options.cacheDir] - metadata cache directory, default to `~/.reco/cache/registry`, false to disable
+   * @param {Number} [options.ttl] - ms before cached metadata expired, default to 5 minutes
+   * @param {Boolean} [options.offline] - only use cache, even expired
+   * @param {Number} [options.retries] - retry times of network errors and 5xx, default to 2
+   * @param {Number} [options.retryDelay] - ms of the first retry, doubles every time, default to 500
+   * @param {Number} [options.timeout] - request timeout ms, default to 10000
+   */
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.npmrc = options.npmrc || exports.loadNpmrc({ cwd: options.cwd, env });
+    this.registry = (options.registry || this.npmrc.registry || DEFAULT_REGISTRY).replace(/\/$/, '');
+    this.proxy = this.npmrc['https-proxy'] || this.npmrc.proxy || env.HTTPS_PROXY || env.https_proxy ||
+      env.HTTP_PROXY || env.http_proxy;
+    this.cacheDir = options.cacheDir === undefined ? path.join(homedir(), '.reco/cache/registry') : options.cacheDir;
+    this.ttl = options.ttl === undefined ? 5 * 60 * 1000 : options.ttl;
+    this.offline = !!options.offline;
+    this.retries = options.retries === undefined ? 2 : options.retries;
+    this.retryDelay = options.retryDelay === undefined ? 500 : options.retryDelay;
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * get registry of package, `@scope:registry` of .npmrc first
+   * @param {String} name - package name
+   * @return {String} registry url
+   */
+  registryOf(name) {
+    const scope = name.startsWith('@') && name.split('/')[0];
+    const registry = scope && this.npmrc[`${scope}:registry`];
+    return registry ? registry.replace(/\/$/, '') : this.registry;
+  }
+
+  /**
+   * get auth header of url, matched by the longest `//host/path/:_authToken` etc. of .npmrc
+   * @param {String} url - request url
+   * @return {String} authorization header or undefined
+   */
+  authOf(url) {
+    const bare = url.replace(/^https?:/, '');
+    const prefixes = Object.keys(this.npmrc)
+      .filter(key => key.startsWith('//') && key.includes('/:'))
+      .map(key => key.slice(0, key.lastIndexOf(':')))
+      .filter(prefix => bare.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`))
+      .sort((a, b) => b.length - a.length);
+
+    for (const prefix of prefixes) {
+      const get = key => this.npmrc[`${prefix}:${key}`];
+      if (get('_authToken')) return `Bearer ${get('_authToken')}`;
+      if (get('_auth')) return `Basic ${get('_auth')}`;
+      if (get('username') && get('_password')) {
+        const password = Buffer.from(get('_password'), 'base64').toString();
+        return `Basic ${Buffer.from(`${get('username')}:${password}`).toString('base64')}`;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * get full metadata of package, use cache when not expired, or when offline / request failed
+   * @param {String} name - package name
+   * @return {Object} packument, `{ name, 'dist-tags', versions, time }`
+   */
+  * getPackument(name) {
+    const url = `${this.registryOf(name)}/${exports.encodeName(name)}`;
+    const cacheFile = this.cacheDir && path.join(this.cacheDir, `${url.replace(/^https?:\/\//, '').replace(/[^\w.@-]+/g, '_')}.json`);
+    const cache = cacheFile && readCache(cacheFile);
+
+    if (cache && (this.offline || Date.now() - cache.time < this.ttl)) {
+      debug('use cache of %s', url);
+      return cache.data;
+    }
+    if (this.offline) throw new RegistryError(`no cache of ${name} at offline mode`);
+
+    let data;
+    try {
+      data = yield this.request(url);
+    } catch (err) {
+      // 404 means the package is not found, no need to fallback
+      if (!cache || err.status === 404) throw err;
+      debug('request %s failed, use expired cache: %s', url, err.message);
+      return cache.data;
+    }
+
+    if (cacheFile) {
+      mkdirp.sync(this.cacheDir);
+      fs.writeFileSync(cacheFile, JSON.stringify({ time: Date.now(), data }));
+    }
+    return data;
+  }
+
+  /**
+   * get manifest of special version
+   * @param {String} name - package name, or spec such as `@scope/name@^1.0.0`
+   * @param {String} [range] - dist-tag, version or semver range, default to `latest`
+   * @return {Object} manifest, package.json of the version
+   */
+  * resolve(name, range) {
+    if (!range) ({ name, range } = exports.parseSpec(name));
+    const packument = yield this.getPackument(name);
+    const tags = packument['dist-tags'] || {};
+    const versions = Object.keys(packument.versions || {});
+
+    let version = tags[range];
+    if (!version && semver.validRange(range)) {
+      // prefer latest when it satisfies, same as npm
+      const preferLatest = tags.latest && semver.satisfies(tags.latest, range);
+      version = preferLatest ? tags.latest : semver.maxSatisfying(versions, range);
+    }
+    if (!version || !packument.versions[version]) {
+      throw new RegistryError(`no version of ${name} matches \`${range}\`, available tags: ${Object.keys(tags).join(', ')}`);
+    }
+    return packument.versions[version];
+  }
+
+  /**
+   * request json with auth, proxy and retries
+   * @param {String} url - url
+   * @return {Object} response data
+   */
+  * request(url) {
+    const headers = { accept: 'application/json' };
+    const authorization = this.authOf(url);
+    if (authorization) headers.authorization = authorization;
+
+    for (let attempt = 0; ; attempt++) {
+      let err;
+      try {
+        debug('request %s (attempt %d)', url, attempt + 1);
+        const result = yield urllib.request(url, {
+          dataType: 'json',
+          followRedirect: true,
+          timeout: this.timeout,
+          headers,
+          enableProxy: !!this.proxy,
+          proxy: this.proxy,
+        });
+        if (result.status === 200) return result.data;
+        const reason = result.data && (result.data.reason || result.data.error);
+        err = new RegistryError(`request ${url} failed, status: ${result.status}${reason ? `, ${reason}` : ''}`, result.status);
+      } catch (e) {
+        err = e;
+      }
+
+      const retryable = !err.status || err.status >= 500 || err.status === 429;
+      if (!retryable || attempt >= this.retries) throw err;
+      yield sleep(this.retryDelay * (2 ** attempt));
+    }
+  }
+}
+
+exports.RegistryClient = RegistryClient;
+exports.RegistryError = RegistryError;
+
+function readCache(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
@@ -0,0 +1,135 @@
+const UNITS = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 * 1024,
+};
+
+/**
+ * parse human readable size
+ * @param {String|Number} size - such as `200kb` / `1.5mb` / `1024`
+ * @return {Number} bytes
+ */
+exports.parseSize = (size) => {
+  if (typeof size === 'number') return size;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb)?\s*$/i.exec(String(size));
+  if (!match) throw new Error(`invalid size budget \`${size}\`, should be a number or like \`200kb\``);
+  return Math.round(parseFloat(match[1]) * UNITS[(match[2] || 'b').toLowerCase()]);
+};
+
+/**
+ * format bytes to human readable size
+ * @param {Number} bytes - bytes
+ * @return {String} such as `1.2 KB`
+ */
+exports.formatSize = (bytes) => {
+  const abs = Math.abs(bytes);
+  if (abs >= UNITS.mb) return `${(bytes / UNITS.mb).toFixed(2)} MB`;
+  if (abs >= UNITS.kb) return `${(bytes / UNITS.kb).toFixed(2)} KB`;
+  return `${bytes} B`;
+};
+
+/**
+ * check build report against budgets
+ * @param {Object} report - build report, see `lib/build-report.js`
+ * @param {Object} budgets - `{ assets: { '*.js': '250kb' }, entrypoints: { main: '300kb' } }`
+ * @return {Array} exceeded items, `[{ type, name, pattern, size, limit }]`
+ */
+exports.checkBudgets = (report, budgets = {}) => {
+  const exceeded = [];
+  const check = (type, items, rules = {}) => {
+    for (const pattern of Object.keys(rules)) {
+      const limit = exports.parseSize(rules[pattern]);
+      const regexp = globToRegExp(pattern);
+      for (const item of items) {
+        if (regexp.test(item.name) && item.size > limit) {
+          exceeded.push({ type, name: item.name, pattern, size: item.size, limit });
+        }
+      }
+    }
+  };
+  check('asset', report.assets, budgets.assets);
+  check('entrypoint', report.entrypoints, budgets.entrypoints);
+  return exceeded;
+};
+
+/**
+ * create size snapshot from build report
+ * @param {Object} report - build report, see `lib/build-report.js`
+ * @return {Object} { time, hash, assets: { name: size }, entrypoints: { name: size } }
+ */
+exports.createSnapshot = (report) => {
+  const toMap = items => items.reduce((map, item) => {
+    map[item.compiler ? `${item.compiler}/${item.name}` : item.name] = item.size;
+    return map;
+  }, {});
+  return {
+    time: new Date().toISOString(),
+    hash: report.hash,
+    assets: toMap(report.assets),
+    entrypoints: toMap(report.entrypoints),
+  };
+};
+
+/**
+ * compare two snapshots, unchanged items are omitted
+ * @param {Object} prev - previous snapshot
+ * @param {Object} next - current snapshot
+ * @return {Array} `[{ type, name, before, after, delta }]`, before / after is undefined when added / removed
+ */
+exports.diffSnapshot = (prev, next) => {
+  const changes = [];
+  for (const type of ['entrypoints', 'assets']) {
+    const before = prev[type] || {};
+    const after = next[type] || {};
+    const names = new Set(Object.keys(before).concat(Object.keys(after)));
+    for (const name of names) {
+      if (before[name] === after[name]) continue;
+      changes.push({
+        type: type === 'assets' ? 'asset' : 'entrypoint',
+        name,
+        before: before[name],
+        after: after[name],
+        delta: (after[name] || 0) - (before[name] || 0),
+      });
+    }
+  }
+  return changes;
+};
+
+/**
+ * format rows to a plain text table
+ * @param {Array} headers - column titles
+ * @param {Array} rows - array of string array
+ * @return {String} table
+ */
+exports.formatTable = (headers, rows) => {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+  const line = row => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimRight();
+  return [line(headers), line(widths.map(width => '-'.repeat(width)))].concat(rows.map(line)).join('\n');
+};
+
+class SizeBudgetError extends Error {
+  constructor(exceeded) {
+    const rows = exceeded.map(item => [
+      item.type,
+      item.name,
+      item.pattern,
+      exports.formatSize(item.size),
+      exports.formatSize(item.limit),
+      `+${exports.formatSize(item.size - item.limit)}`,
+    ]);
+    super(`${exceeded.length} size budget(s) exceeded\n${exports.formatTable(['Type', 'Name', 'Budget', 'Size', 'Limit', 'Over'], rows)}`);
+    this.name = 'SizeBudgetError';
+    this.exceeded = exceeded;
+  }
+}
+
+exports.SizeBudgetError = SizeBudgetError;
+
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
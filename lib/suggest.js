@@ -0,0 +1,37 @@
+/**
+ * levenshtein distance between two strings
+ * @param {String} a - string
+ * @param {String} b - string
+ * @return {Number} distance
+ */
+exports.distance = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+};
+
+/**
+ * find the closest candidates by edit distance
+ * @param {String} input - user input
+ * @param {Array} candidates - valid names
+ * @param {Number} [limit=3] - max count of result
+ * @return {Array} candidates sorted by distance, empty if nothing is close enough
+ * @example `suggest('biuld', [ 'build', 'dev' ]) // [ 'build' ]`
+ */
+exports.suggest = (input, candidates, limit = 3) => {
+  const threshold = Math.max(2, Math.floor(input.length / 3));
+  return candidates
+    .filter(candidate => candidate !== input)
+    .map(candidate => ({ candidate, distance: exports.distance(input.toLowerCase(), candidate.toLowerCase()) }))
+    .filter(item => item.distance <= threshold)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(item => item.candidate);
+};
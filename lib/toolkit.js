@@ -0,0 +1,345 @@
+const fs = require('fs');
+const path = require('path');
+const debug = require('debug')('reco-bin');
+const helper = require('./helper');
+const registry = require('./registry');
+const configLoader = require('./config-loader');
+
+/**
+ * lock files of package managers, the first found wins
+ * @type {Array}
+ */
+const LOCK_FILES = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['package-lock.json', 'npm'],
+];
+
+// scopes of toolkits when `toolkits.scopes` of reco-config is not set
+const DEFAULT_SCOPES = ['@tencent'];
+
+// sub commands and flags of package managers
+const COMMANDS = {
+  npm: { add: 'install', remove: 'uninstall', dir: '--prefix' },
+  yarn: { add: 'add', remove: 'remove', dir: '--cwd' },
+  pnpm: { add: 'add', remove: 'remove', dir: '--dir' },
+};
+
+/**
+ * detect package manager by lock file of dir, then `npm_config_user_agent`, default to npm
+ * @param {String} dir - install prefix
+ * @param {Object} [env] - environment variables, default to process.env
+ * @return {String} `npm` / `yarn` / `pnpm`
+ */
+exports.detectPackageManager = (dir, env = process.env) => {
+  for (const [file, name] of LOCK_FILES) {
+    if (fs.existsSync(path.join(dir, file))) return name;
+  }
+  const agent = /^(npm|yarn|pnpm)\//.exec(env.npm_config_user_agent || '');
+  return agent ? agent[1] : 'npm';
+};
+
+/**
+ * get install prefix of toolkits, which are installed beside the bin,
+ * that's the parent of the closest `node_modules`, or the parent of the bin when linked for debugging
+ * @param {String} binDir - root dir of the bin package
+ * @return {String} prefix
+ */
+exports.installPrefix = (binDir) => {
+  const parts = path.resolve(binDir).split(path.sep);
+  const index = parts.lastIndexOf('node_modules');
+  if (index === -1) return path.resolve(binDir, '..');
+  return parts.slice(0, index).join(path.sep) || path.sep;
+};
+
+/**
+ * whether the export is a CommonBin compatible command, toolkits may depend on another copy of reco-bin
+ * @param {*} entry - module export
+ * @return {Boolean} compatible
+ */
+exports.isCompatible = entry => typeof entry === 'function' && !!entry.prototype &&
+  ['run', 'start', 'exec'].every(method => typeof entry.prototype[method] === 'function');
+
+/**
+ * global node_modules dirs, from `npm_config_prefix` and the prefix of node
+ * @param {Object} [env] - environment variables, default to process.env
+ * @return {Array} dirs
+ */
+exports.globalDirs = (env = process.env) => {
+  const prefixes = [env.npm_config_prefix || env.NPM_CONFIG_PREFIX, path.dirname(path.dirname(process.execPath))];
+  return Array.from(new Set(prefixes.filter(Boolean).map(prefix => (process.platform === 'win32'
+    ? path.join(prefix, 'node_modules')
+    : path.join(prefix, 'lib/node_modules')))));
+};
+
+/**
+ * resolve root dir of toolkit, candidates are tried in order:
+ * 1. local path, such as `../my-toolkit`
+ * 2. `toolkits.overrides` of reco-config, for linked debugging, such as `{ '@tencent/reco-toolkit-vue': '../vue' }`
+ * 3. package names, short names are expanded with scopes, such as `vue` -> `@tencent/vue`, then the bare name,
+ *    each is resolved from the project, then the bin, then the toolkit install prefix and global dirs
+ * @param {String} toolkit - package name, short name or path
+ * @param {Object} [options] - options
+ * @param {String} [options.cwd] - project root, default to process.cwd()
+ * @param {String} [options.binDir] - root dir of the bin
+ * @param {Array} [options.scopes] - default to `toolkits.scopes` of reco-config or `[ '@tencent' ]`
+ * @param {Object} [options.overrides] - default to `toolkits.overrides` of reco-config
+ * @return {String} root dir of toolkit
+ */
+exports.resolveToolkit = (toolkit, options = {}) => {
+  if (!toolkit) throw new ToolkitError('Argument toolkit is required!');
+  const cwd = options.cwd || process.cwd();
+  const config = options.scopes && options.overrides ? {} : loadConfig(cwd);
+  const scopes = options.scopes || config.scopes || DEFAULT_SCOPES;
+  const overrides = options.overrides || config.overrides || {};
+  const tried = [];
+
+  const isDir = (dir, reason) => {
+    tried.push(`${dir} (${reason})`);
+    return fs.existsSync(dir) && fs.statSync(dir).isDirectory();
+  };
+
+  if (/^(\.|\/|[a-zA-Z]:\\)/.test(toolkit)) {
+    const dir = path.resolve(cwd, toolkit);
+    if (isDir(dir, 'local path')) return dir;
+  } else if (overrides[toolkit]) {
+    const dir = path.resolve(cwd, overrides[toolkit]);
+    if (isDir(dir, 'override of reco-config')) return dir;
+  } else {
+    const names = toolkit.startsWith('@') ? [toolkit] : scopes.map(scope => `${scope}/${toolkit}`).concat(toolkit);
+    const locations = [['project', cwd]];
+    if (options.binDir) {
+      locations.push(['bin', options.binDir], ['install prefix', exports.installPrefix(options.binDir)]);
+    }
+    exports.globalDirs().forEach(dir => locations.push(['global', dir]));
+
+    for (const name of names) {
+      for (const [reason, from] of locations) {
+        tried.push(`${name} from ${from} (${reason})`);
+        try {
+          // global dirs are node_modules themselves, which are not searched by require.resolve
+          const paths = reason === 'global' ? [path.dirname(from)] : [from];
+          const request = reason === 'global' ? path.join(from, name, 'package.json') : `${name}/package.json`;
+          return path.dirname(require.resolve(request, { paths }));
+        } catch (err) {
+          // try next
+        }
+      }
+    }
+  }
+
+  const err = new ToolkitError(`toolkit ${toolkit} not found, tried:\n${tried.map(item => `  - ${item}`).join('\n')}`, toolkit);
+  err.tried = tried;
+  throw err;
+};
+
+class ToolkitError extends Error {
+  constructor(message, name) {
+    super(message);
+    this.name = 'ToolkitError';
+    this.toolkit = name;
+  }
+}
+
+/**
+ * install / upgrade / remove toolkits at a prefix, installed toolkits are verified to export a command
+ */
+class ToolkitManager {
+  /**
+   * @param {Object} options - options
+   * @param {String} options.prefix - install prefix, see `installPrefix`
+   * @param {String} [options.registry] - registry url, default to `helper.getRegistryByType()`
+   * @param {String} [options.packageManager] - `npm` / `yarn` / `pnpm`, default to detect
+   * @param {Array} [options.scopes] - scopes of toolkits, default to `toolkits.scopes` of reco-config or `[ '@tencent' ]`
+   * @param {String} [options.cwd] - project root to load reco-config, default to process.cwd()
+   * @param {Object} [options.logger] - logger, default to console
+   */
+  constructor(options) {
+    this.prefix = options.prefix;
+    this.scopes = options.scopes || loadConfig(options.cwd || process.cwd()).scopes || DEFAULT_SCOPES;
+    this.registry = options.registry || helper.getRegistryByType();
+    this.packageManager = options.packageManager || exports.detectPackageManager(this.prefix);
+    this.logger = options.logger || console;
+    if (!COMMANDS[this.packageManager]) {
+      throw new ToolkitError(`package manager \`${this.packageManager}\` is not supported, should be one of ${Object.keys(COMMANDS).join(' / ')}`);
+    }
+  }
+
+  /**
+   * list toolkits in dependencies of prefix package.json, which may be a project root when the bin is installed locally,
+   * so only dependencies of the scopes are listed, and the installed ones should export a command
+   * @return {Array} `[{ name, range, version, dir }]`, version is undefined if not installed
+   */
+  list() {
+    const pkg = readJSON(path.join(this.prefix, 'package.json')) || {};
+    const deps = pkg.dependencies || {};
+    return Object.keys(deps)
+      .filter(name => this.scopes.some(scope => name.startsWith(`${scope}/`)))
+      .map((name) => {
+        const dir = path.join(this.prefix, 'node_modules', name);
+        const installed = readJSON(path.join(dir, 'package.json'));
+        return { name, range: deps[name], version: installed && installed.version, dir };
+      })
+      .filter(item => !item.version || this.isToolkit(item.name));
+  }
+
+  /**
+   * whether the installed package is a toolkit, see `verify`
+   * @param {String} name - package name
+   * @return {Boolean} is toolkit
+   */
+  isToolkit(name) {
+    try {
+      this.verify(name);
+      return true;
+    } catch (err) {
+      debug('%s is not a toolkit: %s', name, err.message);
+      return false;
+    }
+  }
+
+  /**
+   * get installed version
+   * @param {String} name - package name
+   * @return {String} version or undefined
+   */
+  installedVersion(name) {
+    const installed = readJSON(path.join(this.prefix, 'node_modules', name, 'package.json'));
+    return installed && installed.version;
+  }
+
+  /**
+   * verify toolkit could be loaded and exports a CommonBin compatible command
+   * @param {String} name - package name
+   * @return {String} entry file
+   */
+  verify(name) {
+    let entry;
+    try {
+      entry = require.resolve(name, { paths: [this.prefix] });
+    } catch (err) {
+      throw new ToolkitError(`toolkit ${name} is not found at ${this.prefix}`, name);
+    }
+    // load the fresh one after install
+    Object.keys(require.cache)
+      .filter(file => file.startsWith(path.dirname(entry)))
+      .forEach(file => delete require.cache[file]);
+
+    let exported;
+    try {
+      exported = require(entry);
+    } catch (err) {
+      throw new ToolkitError(`toolkit ${name} could not be loaded: ${err.message}`, name);
+    }
+    // transpiled es module
+    if (exported && !exports.isCompatible(exported)) exported = exported.default;
+    if (!exports.isCompatible(exported)) {
+      throw new ToolkitError(`toolkit ${name} should export a command class extends CommonBin`, name);
+    }
+    return entry;
+  }
+
+  /**
+   * install toolkit, roll back when fail to verify
+   * @param {String} spec - package spec, such as `name`, `name@^1.0.0` or `name@next`
+   * @return {Object} `{ name, version }`
+   */
+  * install(spec) {
+    const { name } = registry.parseSpec(spec);
+    const previous = this.installedVersion(name);
+    yield this.run('add', spec);
+    try {
+      this.verify(name);
+    } catch (err) {
+      yield this.rollback(name, previous, err);
+    }
+    const version = this.installedVersion(name);
+    this.logger.info(`Install ${name}@${version} succeed`);
+    return { name, version };
+  }
+
+  /**
+   * upgrade toolkit, roll back to the previous version when fail to install or verify
+   * @param {String} name - package name
+   * @param {String} [range] - version, range or dist-tag, default to `latest`
+   * @return {Object} `{ name, version, previous }`
+   */
+  * upgrade(name, range = 'latest') {
+    const previous = this.installedVersion(name);
+    if (!previous) throw new ToolkitError(`toolkit ${name} is not installed, install it first`, name);
+    try {
+      yield this.run('add', `${name}@${range}`);
+      this.verify(name);
+    } catch (err) {
+      yield this.rollback(name, previous, err);
+    }
+    const version = this.installedVersion(name);
+    this.logger.info(`Upgrade ${name} ${previous} -> ${version} succeed`);
+    return { name, version, previous };
+  }
+
+  /**
+   * remove toolkit
+   * @param {String} name - package name
+   */
+  * remove(name) {
+    if (!this.installedVersion(name)) throw new ToolkitError(`toolkit ${name} is not installed`, name);
+    yield this.run('remove', name);
+    this.logger.info(`Remove ${name} succeed`);
+  }
+
+  /**
+   * restore the previous version, or remove the broken one if not installed before, then throw the reason
+   * @param {String} name - package name
+   * @param {String} previous - previous version
+   * @param {Error} reason - why roll back
+   * @protected
+   */
+  * rollback(name, previous, reason) {
+    const target = previous ? `${name}@${previous}` : 'not installed';
+    this.logger.warn(`${reason.message}, roll back to ${target}`);
+    try {
+      if (previous) {
+        yield this.run('add', `${name}@${previous}`);
+      } else if (this.installedVersion(name)) {
+        yield this.run('remove', name);
+      }
+      reason.message += `, rolled back to ${target}`;
+    } catch (err) {
+      reason.message += `, and roll back failed: ${err.message}`;
+    }
+    throw reason;
+  }
+
+  /**
+   * run package manager
+   * @param {String} action - `add` / `remove`
+   * @param {String} spec - package spec
+   * @return {Promise} resolve after exit
+   * @protected
+   */
+  run(action, spec) {
+    const command = COMMANDS[this.packageManager];
+    const args = [command[action], spec, command.dir, this.prefix];
+    if (action === 'add' && this.registry) args.push('--registry', this.registry);
+    this.logger.info(`Run \`${this.packageManager} ${args.join(' ')}\``);
+    debug('toolkit %s %s at %s', action, spec, this.prefix);
+    return helper.spawn(this.packageManager, args, { stdio: 'inherit' });
+  }
+}
+
+exports.ToolkitManager = ToolkitManager;
+exports.ToolkitError = ToolkitError;
+
+// `toolkits` of reco-config
+function loadConfig(cwd) {
+  return configLoader.load({ cwd, env: configLoader.getEnvName(process.env) }).toolkits || {};
+}
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const cp = require('child_process');
+const semver = require('semver');
+const colors = require('colors/safe');
+const homedir = require('node-homedir');
+const mkdirp = require('mz-modules/mkdirp');
+const debug = require('debug')('reco-bin');
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * whether update check is disabled, at CI, non-TTY or `RECO_NO_UPDATE_NOTIFIER` / `NO_UPDATE_NOTIFIER` set
+ * @param {Object} [options] - options
+ * @param {Object} [options.env] - environment variables, default to process.env
+ * @param {Stream} [options.stream] - stream to print notice, default to process.stderr
+ * @return {Boolean} disabled
+ */
+exports.isDisabled = ({ env = process.env, stream = process.stderr } = {}) =>
+  !!(env.CI || env.RECO_NO_UPDATE_NOTIFIER || env.NO_UPDATE_NOTIFIER || !stream.isTTY);
+
+/**
+ * get state file, `~/.reco/update-check/<name>.json`
+ * @param {String} name - package name
+ * @return {String} file path
+ */
+exports.stateFile = name => path.join(homedir(), '.reco/update-check', `${name.replace(/[^\w.-]+/g, '_')}.json`);
+
+/**
+ * check update of a bin, the registry is requested by a detached worker at most once per interval,
+ * so the result is from the last check and the command is never blocked
+ * @param {Object} options - options
+ * @param {String} options.name - package name of the bin
+ * @param {String} options.version - running version
+ * @param {String} [options.registry] - registry url, default to `getRegistryByType()`
+ * @param {Number} [options.interval] - ms between checks, default to one day
+ * @return {Object} `{ current, latest }` if update available, otherwise null
+ */
+exports.check = (options) => {
+  const { name, version, interval = ONE_DAY } = options;
+  const file = exports.stateFile(name);
+  let state = {};
+  try {
+    state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    // first check
+  }
+
+  if (!state.lastCheck || Date.now() - state.lastCheck > interval) {
+    // write before spawn, avoid duplicate workers of concurrent commands
+    mkdirp.sync(path.dirname(file));
+    fs.writeFileSync(file, JSON.stringify(Object.assign({}, state, { lastCheck: Date.now() })));
+    const payload = JSON.stringify({ name, registry: options.registry, file });
+    debug('spawn update check worker of %s', name);
+    const worker = cp.spawn(process.execPath, [path.join(__dirname, 'update-worker.js'), payload], {
+      detached: true,
+      stdio: 'ignore',
+    });
+    worker.on('error', err => debug('update check worker failed: %s', err.message));
+    worker.unref();
+  }
+
+  if (state.latest && semver.valid(version) && semver.gt(state.latest, version)) {
+    return { current: version, latest: state.latest };
+  }
+  return null;
+};
+
+/**
+ * format update notice
+ * @param {Object} update - `{ current, latest }`
+ * @param {String} name - package name
+ * @return {String} notice
+ */
+exports.notice = (update, name) =>
+  `\n${colors.yellow('Update available')} ${colors.gray(update.current)} → ${colors.green(update.latest)}, ` +
+  `run ${colors.cyan(`npm i -g ${name}`)} to update\n`;
@@ -0,0 +1,15 @@
+// detached worker of `lib/update-notifier.js`, fetch latest version and save to state file
+const fs = require('fs');
+const co = require('co');
+const helper = require('./helper');
+const { RegistryClient } = require('./registry');
+
+const { name, registry, file } = JSON.parse(process.argv[2]);
+
+co(function* () {
+  const client = new RegistryClient({ registry: registry || helper.getRegistryByType(), cacheDir: false, retries: 1 });
+  const manifest = yield client.resolve(name, 'latest');
+  fs.writeFileSync(file, JSON.stringify({ lastCheck: Date.now(), latest: manifest.version }));
+}).catch(() => {
+  // try again at next interval
+});
@@ -1,17 +1,16 @@
+const EventEmitter = require('events');
+const createBuildReport = require('./build-report');
+
 const ERROR = Symbol('WebpackError$err');
 const STATS = Symbol('WebpackError$stats');
+const WATCHING = Symbol('WebpackWatcher$watching');
+const QUEUE = Symbol('WebpackWatcher$queue');
+const WAITING = Symbol('WebpackWatcher$waiting');
+const CLOSED = Symbol('WebpackWatcher$closed');
+const REPORT = Symbol('WebpackError$report');
 
 module.exports = webpack => (config, _opts) => {
-  const opts = Object.assign({
-    log: true,
-    stats: {},
-  }, typeof _opts === 'object' && _opts !== null ? _opts : {});
-  opts.stats = Object.assign({
-    colors: true,
-    modules: false,
-    chunkModules: false,
-    errorDetails: true,
-  }, typeof opts.stats === 'object' && opts.stats !== null ? opts.stats : {});
+  const opts = normalizeOptions(_opts);
 
   return new Promise((resolve, reject) => webpack(config).run((err, stats) => {
     if (opts.log && stats) {
@@ -26,21 +25,129 @@ module.exports = webpack => (config, _opts) => {
   }));
 };
 
+/**
+ * watch mode, failed rebuilds are emitted as `WebpackError` without stopping the watcher
+ * @param {Function} webpack - webpack
+ * @return {Function} (config, [watchOptions], [opts]) => WebpackWatcher
+ * @example
+ * const watcher = webpackPromise.watch(webpack)(config, { aggregateTimeout: 300 });
+ * watcher.on('build', ({ error, stats }) => {});
+ * // or
+ * for await (const { error, stats } of watcher) {}
+ */
+module.exports.watch = webpack => (config, watchOptions, _opts) => {
+  const opts = normalizeOptions(_opts);
+  return new WebpackWatcher(webpack(config), watchOptions || {}, opts);
+};
+
+function normalizeOptions(_opts) {
+  const opts = Object.assign({
+    log: true,
+    stats: {},
+  }, typeof _opts === 'object' && _opts !== null ? _opts : {});
+  opts.stats = Object.assign({
+    colors: true,
+    modules: false,
+    chunkModules: false,
+    errorDetails: true,
+  }, typeof opts.stats === 'object' && opts.stats !== null ? opts.stats : {});
+  return opts;
+}
+
+/**
+ * handle of webpack watch mode
+ * emit `build` with `{ error, stats }` for every build, `success` with stats and `fail` with WebpackError
+ */
+class WebpackWatcher extends EventEmitter {
+  constructor(compiler, watchOptions, opts) {
+    super();
+
+    this[QUEUE] = [];
+    this[WAITING] = [];
+    this[CLOSED] = false;
+
+    this[WATCHING] = compiler.watch(watchOptions, (err, stats) => {
+      if (opts.log && stats) {
+        console.log(stats.toString(opts.stats));
+      }
+
+      const result = { error: null, stats };
+      if (err || stats.hasErrors()) {
+        result.error = new WebpackError(err, stats);
+        this.emit('fail', result.error);
+      } else {
+        this.emit('success', stats);
+      }
+      this.emit('build', result);
+
+      const waiting = this[WAITING].shift();
+      if (waiting) {
+        waiting({ value: result, done: false });
+      } else {
+        this[QUEUE].push(result);
+      }
+    });
+  }
+
+  /**
+   * trigger a rebuild
+   */
+  invalidate() {
+    this[WATCHING].invalidate();
+  }
+
+  /**
+   * stop watching
+   * @return {Promise} resolve after watcher closed
+   */
+  close() {
+    if (this[CLOSED]) return Promise.resolve();
+    this[CLOSED] = true;
+    return new Promise(resolve => this[WATCHING].close(() => {
+      for (const waiting of this[WAITING]) {
+        waiting({ value: undefined, done: true });
+      }
+      this[WAITING] = [];
+      this.emit('close');
+      resolve();
+    }));
+  }
+
+  [Symbol.asyncIterator]() {
+    return {
+      next: () => {
+        if (this[QUEUE].length) {
+          return Promise.resolve({ value: this[QUEUE].shift(), done: false });
+        }
+        if (this[CLOSED]) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise(resolve => this[WAITING].push(resolve));
+      },
+      return: () => this.close().then(() => ({ value: undefined, done: true })),
+    };
+  }
+}
+
 class WebpackError extends Error {
   constructor(err, stats) {
-    super((() => {
+    const report = createBuildReport(stats, err);
+    const type = (() => {
       if (err) {
         return 'WebpackRuntimeError';
-      } else if (stats.hasErrors() || stats.hasWarnings()) {
+      } else if (stats.hasErrors()) {
         return 'WebpackCompilationError';
       }
       return 'UnknowWebpackError';
-    })());
+    })();
+    super(formatMessage(type, report));
 
     this.name = 'WebpackError';
+    this.type = type;
 
     this[ERROR] = err;
     this[STATS] = stats;
+    this[REPORT] = report;
   }
 
   err() {
@@ -50,4 +157,34 @@ class WebpackError extends Error {
   stats() {
     return this[STATS];
   }
+
+  /**
+   * normalized build report
+   * @return {Object} see `lib/build-report.js`
+   */
+  report() {
+    return this[REPORT];
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      type: this.type,
+      message: this.message,
+      report: this[REPORT],
+    };
+  }
 }
+
+function formatMessage(type, report) {
+  const { errors } = report;
+  if (!errors.length) return type;
+  const first = errors[0];
+  const location = [first.module, first.loc].filter(Boolean).join(' ');
+  const summary = `${errors.length} error${errors.length > 1 ? 's' : ''}`;
+  return `${type}, ${summary}, first one: ${location ? `${location} ` : ''}${first.message.split('\n')[0]}`;
+}
+
+module.exports.WebpackError = WebpackError;
+module.exports.WebpackWatcher = WebpackWatcher;
+module.exports.createBuildReport = createBuildReport;
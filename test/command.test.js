@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const co = require('co');
+const { PassThrough } = require('stream');
+const rimraf = require('mz-modules/rimraf');
+const Command = require('..');
+
+class EchoCommand extends Command {
+  constructor(rawArgv) {
+    super(rawArgv);
+    this.options = {
+      name: { type: 'string', required: true, description: 'name to echo' },
+    };
+  }
+
+  get description() {
+    return 'echo the name';
+  }
+
+  * run({ argv, cwd }) {
+    this.print(`hello ${argv.name}`);
+    return { name: argv.name, cwd };
+  }
+}
+
+class FailCommand extends Command {
+  * run(context) {
+    if (context.argv.code) {
+      context.exitCode = context.argv.code;
+      return undefined;
+    }
+    throw new Error('failed on purpose');
+  }
+}
+
+class MainCommand extends Command {
+  constructor(rawArgv) {
+    super(rawArgv);
+    this.add('echo', EchoCommand);
+    this.add('fail', FailCommand);
+  }
+}
+
+// writable stream which keeps what is written
+function collect() {
+  const stream = new PassThrough();
+  stream.text = '';
+  stream.on('data', chunk => (stream.text += chunk));
+  return stream;
+}
+
+describe('command exec', () => {
+  let cwd;
+  let stdout;
+  let stderr;
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'reco-bin-command-'));
+    stdout = collect();
+    stderr = collect();
+  });
+
+  afterEach(() => rimraf.sync(cwd));
+
+  const options = () => ({ cwd, env: {}, stdout, stderr });
+
+  it('should resolve with exitCode and result of sub command', () => co(function* () {
+    const { exitCode, result } = yield new MainCommand().exec(['echo', '--name', 'reco'], options());
+    expect(exitCode).toBe(0);
+    expect(result).toEqual({ name: 'reco', cwd });
+    expect(stdout.text).toBe('hello reco\n');
+  }));
+
+  it('should resolve with exitCode set by handler', () => co(function* () {
+    const { exitCode } = yield new MainCommand().exec(['fail', '--code', '3'], options());
+    expect(exitCode).toBe(3);
+  }));
+
+  it('should reject with the original error', () => co(function* () {
+    let error;
+    try {
+      yield new MainCommand().exec(['fail'], options());
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).toBe('failed on purpose');
+  }));
+
+  it('should reject invalid options with exitCode 2', () => co(function* () {
+    let error;
+    try {
+      yield new MainCommand().exec(['echo'], options());
+    } catch (err) {
+      error = err;
+    }
+    expect(error.name).toBe('OptionValidationError');
+    expect(error.exitCode).toBe(2);
+    expect(error.message).toMatch(/`--name` is required/);
+  }));
+
+  it('should print help to stdout without exiting', () => co(function* () {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {
+      throw new Error('process.exit is called');
+    });
+    try {
+      const { exitCode } = yield new MainCommand().exec(['--help'], options());
+      expect(exitCode).toBe(0);
+      expect(exit).not.toHaveBeenCalled();
+    } finally {
+      exit.mockRestore();
+    }
+    expect(stdout.text).toMatch(/echo\s+echo the name/);
+    // printed once
+    expect(stdout.text.match(/Global Options:/g).length).toBe(1);
+  }));
+
+  it('should use argv and cwd of each exec', () => co(function* () {
+    const command = new MainCommand();
+    yield command.exec(['echo', '--name', 'first'], options());
+
+    const otherCwd = fs.mkdtempSync(path.join(os.tmpdir(), 'reco-bin-command-'));
+    try {
+      const { result } = yield command.exec(['echo', '--name', 'second'], Object.assign(options(), { cwd: otherCwd }));
+      expect(result).toEqual({ name: 'second', cwd: otherCwd });
+    } finally {
+      rimraf.sync(otherCwd);
+    }
+    expect(stdout.text).toBe('hello first\nhello second\n');
+  }));
+
+  it('should list sub commands once when help is printed again', () => co(function* () {
+    const command = new MainCommand();
+    yield command.exec(['--help'], options());
+    const first = stdout.text;
+    stdout.text = '';
+    yield command.exec(['--help'], options());
+    expect(stdout.text).toBe(first);
+  }));
+});
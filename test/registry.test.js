@@ -0,0 +1,158 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const co = require('co');
+const rimraf = require('mz-modules/rimraf');
+const { RegistryClient, RegistryError } = require('../lib/registry');
+
+const packument = {
+  name: '@scope/name',
+  'dist-tags': { latest: '1.2.0', next: '2.0.0-beta.1' },
+  versions: {
+    '1.0.0': { name: '@scope/name', version: '1.0.0' },
+    '1.2.0': { name: '@scope/name', version: '1.2.0' },
+    '1.3.0': { name: '@scope/name', version: '1.3.0' },
+    '2.0.0-beta.1': { name: '@scope/name', version: '2.0.0-beta.1' },
+  },
+};
+
+describe('registry', () => {
+  let server;
+  let registry;
+  let requests;
+  // statuses to respond before 200, such as `[503, 503]`
+  let failures;
+  let cacheDir;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, authorization: req.headers.authorization });
+      const status = failures.length ? failures.shift() : 200;
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(status === 200 ? packument : { error: 'fake failure' }));
+    });
+    server.listen(0, '127.0.0.1', () => {
+      registry = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    failures = [];
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reco-bin-registry-'));
+  });
+
+  afterEach(() => rimraf.sync(cacheDir));
+
+  // never read .npmrc and proxy of the machine
+  const create = options =>
+    new RegistryClient(Object.assign({ registry, env: {}, npmrc: {}, cacheDir, retryDelay: 1 }, options));
+
+  it('should encode scoped package name', () => co(function* () {
+    const data = yield create().getPackument('@scope/name');
+    expect(data.name).toBe('@scope/name');
+    expect(requests.map(item => item.url)).toEqual(['/@scope%2Fname']);
+  }));
+
+  it('should use scope registry and bearer token of npmrc', () => co(function* () {
+    const host = registry.replace(/^http:/, '');
+    const client = create({
+      registry: 'http://127.0.0.1:1',
+      npmrc: { '@scope:registry': `${registry}/`, [`${host}/:_authToken`]: 'secret' },
+    });
+    yield client.getPackument('@scope/name');
+    expect(requests[0].authorization).toBe('Bearer secret');
+  }));
+
+  it('should not send token to other hosts', () => co(function* () {
+    yield create({ npmrc: { '//registry.example.com/:_authToken': 'secret' } }).getPackument('@scope/name');
+    expect(requests[0].authorization).toBeUndefined();
+  }));
+
+  it('should resolve dist-tags, ranges and specs', () => co(function* () {
+    const client = create();
+    expect((yield client.resolve('@scope/name')).version).toBe('1.2.0');
+    expect((yield client.resolve('@scope/name', 'next')).version).toBe('2.0.0-beta.1');
+    // latest is preferred when it satisfies
+    expect((yield client.resolve('@scope/name', '^1.0.0')).version).toBe('1.2.0');
+    expect((yield client.resolve('@scope/name', '~1.3.0')).version).toBe('1.3.0');
+    expect((yield client.resolve('@scope/name@1.0.0')).version).toBe('1.0.0');
+    // metadata is cached
+    expect(requests.length).toBe(1);
+  }));
+
+  it('should fail when no version matches', () => co(function* () {
+    let error;
+    try {
+      yield create().resolve('@scope/name', '^3.0.0');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(RegistryError);
+    expect(error.message).toMatch(/no version of @scope\/name matches `\^3\.0\.0`/);
+  }));
+
+  it('should retry 5xx', () => co(function* () {
+    failures = [503, 503];
+    const data = yield create({ retries: 2 }).getPackument('@scope/name');
+    expect(data.name).toBe('@scope/name');
+    expect(requests.length).toBe(3);
+  }));
+
+  it('should fail when retries are used up', () => co(function* () {
+    failures = [503, 503];
+    let error;
+    try {
+      yield create({ retries: 1 }).getPackument('@scope/name');
+    } catch (err) {
+      error = err;
+    }
+    expect(error.status).toBe(503);
+    expect(error.message).toMatch(/status: 503, fake failure/);
+    expect(requests.length).toBe(2);
+  }));
+
+  it('should not retry 404', () => co(function* () {
+    failures = [404];
+    let error;
+    try {
+      yield create().getPackument('@scope/name');
+    } catch (err) {
+      error = err;
+    }
+    expect(error.status).toBe(404);
+    expect(requests.length).toBe(1);
+  }));
+
+  it('should read cache at offline mode', () => co(function* () {
+    yield create().getPackument('@scope/name');
+    const data = yield create({ offline: true, ttl: 0 }).getPackument('@scope/name');
+    expect(data.name).toBe('@scope/name');
+    expect(requests.length).toBe(1);
+  }));
+
+  it('should fail at offline mode without cache', () => co(function* () {
+    let error;
+    try {
+      yield create({ offline: true }).getPackument('@scope/name');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(RegistryError);
+    expect(requests.length).toBe(0);
+  }));
+
+  it('should fallback to expired cache when request failed', () => co(function* () {
+    yield create().getPackument('@scope/name');
+    failures = [503];
+    const data = yield create({ ttl: 0, retries: 0 }).getPackument('@scope/name');
+    expect(data.name).toBe('@scope/name');
+    expect(requests.length).toBe(2);
+  }));
+});